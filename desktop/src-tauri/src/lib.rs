@@ -1,5 +1,6 @@
-use reqwest::header::{HeaderMap, HeaderValue, ORIGIN, REFERER, CONTENT_TYPE};
+use reqwest::header::{HeaderMap, HeaderName, HeaderValue, ORIGIN, REFERER, CONTENT_TYPE};
 use serde::{Deserialize, Serialize};
+use std::collections::HashMap;
 
 #[derive(Debug, Serialize, Deserialize)]
 pub struct HttpResponse {
@@ -9,14 +10,22 @@ pub struct HttpResponse {
 }
 
 #[tauri::command]
-async fn api_fetch(url: String, method: Option<String>, body: Option<String>) -> Result<HttpResponse, String> {
+async fn api_fetch(url: String, method: Option<String>, body: Option<String>, headers: Option<HashMap<String, String>>) -> Result<HttpResponse, String> {
     let client = reqwest::Client::new();
     
+    let extra_headers = headers;
     let mut headers = HeaderMap::new();
     headers.insert(CONTENT_TYPE, HeaderValue::from_static("application/json"));
     headers.insert(ORIGIN, HeaderValue::from_static("https://nagusamecs.github.io"));
     headers.insert(REFERER, HeaderValue::from_static("https://nagusamecs.github.io/OpenNotesAPI/"));
     
+    // Forward caller-supplied headers (auth tokens etc.), skipping any that are invalid
+    for (name, value) in extra_headers.unwrap_or_default() {
+        if let (Ok(name), Ok(value)) = (HeaderName::from_bytes(name.as_bytes()), HeaderValue::from_str(&value)) {
+            headers.insert(name, value);
+        }
+    }
+    
     let method_str = method.unwrap_or_else(|| "GET".to_string());
     
     let mut request_builder = match method_str.to_uppercase().as_str() {
@@ -119,6 +119,8 @@ const CONFIG = {
   MAX_STORAGE_MB: 500,
   NOTES_PER_PAGE: 20, // Match API default
   DOWNLOAD_EXPIRY_DAYS: 10, // Downloads expire after 10 days
+  REVIEW_SESSION_SIZE: 20, // Max questions per spaced-repetition review
+  MAX_QUIZ_ATTEMPTS: 500, // Local quiz attempt history cap
 };
 
 // HTTP client - uses Tauri custom command if available, falls back to fetch
@@ -155,6 +157,7 @@ async function httpFetch(url, options = {}) {
         url: url,
         method: options.method || 'GET',
         body: options.body || null,
+        headers: options.headers || null,
       });
       
       console.log('[FETCH] Rust response status:', result.status, 'ok:', result.ok);
@@ -539,11 +542,35 @@ const storage = {
     if (savedCount) savedCount.textContent = state.savedNotes.length;
   },
   
+  getQuizAttempts(quizId) {
+    const attempts = this.get('quiz_attempts') || [];
+    return quizId ? attempts.filter(a => a.quizId === quizId) : attempts;
+  },
+  
+  saveQuizAttempt(attempt) {
+    // Earlier builds also stored review sessions here, under `review-<time>` ids
+    const attempts = (this.get('quiz_attempts') || []).filter(a => !String(a.quizId).startsWith('review-'));
+    attempts.push(attempt);
+    // Keep the most recent attempts only
+    this.set('quiz_attempts', attempts.slice(-CONFIG.MAX_QUIZ_ATTEMPTS));
+  },
+  
+  getQuizStats(quizId) {
+    const attempts = this.getQuizAttempts(quizId);
+    if (attempts.length === 0) return null;
+    return {
+      attempts: attempts.length,
+      bestPercent: Math.max(...attempts.map(a => a.percent)),
+      averagePercent: Math.round(attempts.reduce((sum, a) => sum + a.percent, 0) / attempts.length),
+      averageTime: Math.round(attempts.reduce((sum, a) => sum + (a.timeTaken || 0), 0) / attempts.length),
+    };
+  },
+  
   clearCache() {
-    // Keep saved notes, clear everything else
+    // Keep saved notes and quiz history, clear everything else
     const saved = this.getSavedNotes();
     for (let key in localStorage) {
-      if (key.startsWith(CONFIG.STORAGE_KEY) && !key.includes('saved_notes')) {
+      if (key.startsWith(CONFIG.STORAGE_KEY) && !key.includes('saved_notes') && !key.includes('quiz_attempts')) {
         localStorage.removeItem(key);
       }
     }
@@ -1747,6 +1774,168 @@ async function openWebClient(path = '') {
   }
 }
 
+// ==================== ACCOUNT ====================
+// Sign-in uses the gateway's device flow: the app shows a short code, the user
+// approves it on auth.html in their browser, and we poll until the token arrives.
+const account = {
+  pollTimer: null,
+  
+  getToken() {
+    return localStorage.getItem('auth_token_fallback');
+  },
+  
+  getUser() {
+    try {
+      return JSON.parse(localStorage.getItem('auth_user') || 'null');
+    } catch {
+      return null;
+    }
+  },
+  
+  isSignedIn() {
+    return !!this.getToken();
+  },
+  
+  saveSession(token, user) {
+    localStorage.setItem('auth_token_fallback', token);
+    if (user) localStorage.setItem('auth_user', JSON.stringify(user));
+    else localStorage.removeItem('auth_user');
+  },
+  
+  signOut() {
+    localStorage.removeItem('auth_token_fallback');
+    localStorage.removeItem('auth_user');
+    updateAccountUI();
+    showToast('Signed out', 'info');
+  },
+  
+  async startDeviceLogin() {
+    this.cancelDeviceLogin();
+    
+    const response = await httpFetch(`${CONFIG.GATEWAY_URL}/auth/device/code`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({}),
+    });
+    if (!response.ok) throw new Error('Could not start sign-in');
+    
+    const grant = await response.json();
+    showDeviceLogin(grant);
+    await openExternalUrl(grant.verification_uri_complete || grant.verification_uri);
+    
+    this.pollDeviceToken(grant.device_code, grant.interval || 5, Date.now() + grant.expires_in * 1000);
+  },
+  
+  pollDeviceToken(deviceCode, interval, expiresAt) {
+    this.pollTimer = setTimeout(async () => {
+      if (Date.now() > expiresAt) {
+        this.cancelDeviceLogin();
+        showToast('Sign-in code expired, please try again', 'error');
+        return;
+      }
+      
+      try {
+        const response = await httpFetch(`${CONFIG.GATEWAY_URL}/auth/device/token`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+            device_code: deviceCode,
+          }),
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+          this.saveSession(data.access_token, data.user);
+          this.cancelDeviceLogin();
+          showToast('Signed in', 'success');
+          return;
+        }
+        
+        if (data.error === 'authorization_pending') {
+          this.pollDeviceToken(deviceCode, interval, expiresAt);
+        } else if (data.error === 'slow_down') {
+          this.pollDeviceToken(deviceCode, interval + 5, expiresAt);
+        } else {
+          this.cancelDeviceLogin();
+          showToast(data.error === 'access_denied' ? 'Sign-in was denied' : 'Sign-in failed, please try again', 'error');
+        }
+      } catch (e) {
+        // Network blip: keep polling until the code expires
+        console.error('[Account] Poll error:', e);
+        this.pollDeviceToken(deviceCode, interval, expiresAt);
+      }
+    }, interval * 1000);
+  },
+  
+  cancelDeviceLogin() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    updateAccountUI();
+  },
+};
+
+async function openExternalUrl(url) {
+  try {
+    if (window.__TAURI__) {
+      const { open } = await import('@tauri-apps/plugin-shell');
+      await open(url);
+    } else {
+      window.open(url, '_blank');
+    }
+  } catch (e) {
+    window.open(url, '_blank');
+  }
+}
+
+function showDeviceLogin(grant) {
+  const panel = document.getElementById('device-login');
+  if (!panel) return;
+  document.getElementById('device-login-code').textContent = grant.user_code;
+  document.getElementById('device-login-link').dataset.url = grant.verification_uri_complete || grant.verification_uri;
+  panel.classList.remove('hidden');
+  document.getElementById('account-btn')?.classList.add('hidden');
+}
+
+function updateAccountUI() {
+  const btn = document.getElementById('account-btn');
+  const label = document.getElementById('account-label');
+  if (!btn || !label) return;
+  
+  document.getElementById('device-login')?.classList.add('hidden');
+  btn.classList.remove('hidden');
+  
+  const user = account.getUser();
+  if (account.isSignedIn()) {
+    label.textContent = user?.name || user?.email || 'Signed in';
+    btn.title = 'Sign out';
+  } else {
+    label.textContent = 'Sign in';
+    btn.title = 'Sign in with your browser';
+  }
+}
+
+function initAccount() {
+  document.getElementById('account-btn')?.addEventListener('click', async () => {
+    if (account.isSignedIn()) {
+      account.signOut();
+      return;
+    }
+    try {
+      await account.startDeviceLogin();
+    } catch (e) {
+      console.error('[Account] Sign-in error:', e);
+      showToast('Sign-in failed: ' + e.message, 'error');
+      account.cancelDeviceLogin();
+    }
+  });
+  document.getElementById('device-login-link')?.addEventListener('click', (e) => {
+    openExternalUrl(e.currentTarget.dataset.url);
+  });
+  document.getElementById('device-login-cancel')?.addEventListener('click', () => account.cancelDeviceLogin());
+  updateAccountUI();
+}
+
 // ==================== INITIALIZATION ====================
 async function init() {
   console.log('[INIT] OpenNotes Desktop initializing...');
@@ -1782,6 +1971,9 @@ async function init() {
   // Set up web client button for upload view
   document.getElementById('open-web-upload')?.addEventListener('click', () => openWebClient());
   
+  // Account sign-in
+  initAccount();
+  
   // Initialize quiz system
   initQuizListeners();
   initSvgBuilder();
@@ -2022,14 +2214,26 @@ const quizState = {
 const quizApi = {
   async listQuizzes(filters = {}) {
     try {
-      const params = new URLSearchParams();
+      const params = new URLSearchParams({ limit: 100 });
       if (filters.subject) params.set('subject', filters.subject);
       if (filters.topic) params.set('topic', filters.topic);
       if (filters.search) params.set('q', filters.search);
       
-      const response = await httpFetch(`${CONFIG.GATEWAY_URL}/api/quizzes?${params}`);
-      if (!response.ok) throw new Error('Failed to fetch quizzes');
-      return await response.json();
+      // Follow cursors until every page is loaded
+      const quizzes = [];
+      let data;
+      do {
+        const response = await httpFetch(`${CONFIG.GATEWAY_URL}/api/quizzes?${params}`);
+        if (!response.ok) throw new Error('Failed to fetch quizzes');
+        data = await response.json();
+        quizzes.push(...(data.quizzes || []));
+        if (data.nextCursor) params.set('cursor', data.nextCursor);
+        
+        // Safety limit
+        if (quizzes.length >= 1000) break;
+      } while (data.nextCursor);
+      
+      return { ...data, quizzes };
     } catch (e) {
       console.error('[Quiz API] List error:', e);
       throw e;
@@ -2060,7 +2264,7 @@ const quizApi = {
       });
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.errors?.join(', ') || error.error || 'Failed to create quiz');
+        throw new Error(error.error?.details?.errors?.join(', ') || error.error?.message || 'Failed to create quiz');
       }
       return await response.json();
     } catch (e) {
@@ -2069,6 +2273,66 @@ const quizApi = {
     }
   },
   
+  async importQuiz(format, content) {
+    try {
+      const authToken = localStorage.getItem('auth_token_fallback');
+      const response = await httpFetch(`${CONFIG.GATEWAY_URL}/api/quizzes/import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Auth-Token': authToken || '',
+        },
+        // Dry run: the questions go into the creator and are saved with the quiz
+        body: JSON.stringify({ format, content, dryRun: true }),
+      });
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || 'Failed to import quiz');
+      }
+      return await response.json();
+    } catch (e) {
+      console.error('[Quiz API] Import error:', e);
+      throw e;
+    }
+  },
+  
+  async exportQuiz(id, format, part = 'both') {
+    try {
+      const params = new URLSearchParams({ format, part });
+      const response = await httpFetch(`${CONFIG.GATEWAY_URL}/api/quizzes/${id}/export?${params}`);
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || 'Failed to export quiz');
+      }
+      return await response.text();
+    } catch (e) {
+      console.error('[Quiz API] Export error:', e);
+      throw e;
+    }
+  },
+  
+  async submitAttempt(quizId, answers, timeTaken) {
+    try {
+      const authToken = localStorage.getItem('auth_token_fallback');
+      const response = await httpFetch(`${CONFIG.GATEWAY_URL}/api/quizzes/${quizId}/attempts`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authToken && { 'X-Auth-Token': authToken }),
+        },
+        body: JSON.stringify({ answers, timeTaken }),
+      });
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || 'Failed to submit attempt');
+      }
+      return await response.json();
+    } catch (e) {
+      console.error('[Quiz API] Attempt error:', e);
+      throw e;
+    }
+  },
+  
   async shuffleQuizzes(quizIds, options = {}) {
     try {
       const response = await httpFetch(`${CONFIG.GATEWAY_URL}/api/quizzes/shuffle`, {
@@ -2082,7 +2346,7 @@ const quizApi = {
       });
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to shuffle quizzes');
+        throw new Error(error.error?.message || 'Failed to shuffle quizzes');
       }
       return await response.json();
     } catch (e) {
@@ -2133,6 +2397,14 @@ async function loadQuizzes(filters = {}) {
         ${quiz.topic ? `<div class="quiz-card-topic">${escapeHtml(quiz.topic)}</div>` : ''}
         <div class="quiz-card-meta">
           <span><span class="material-symbols-rounded">help_outline</span> ${quiz.questionCount} questions</span>
+          <div class="quiz-card-actions">
+            <button class="icon-btn" data-export="worksheet" title="Print worksheet">
+              <span class="material-symbols-rounded">print</span>
+            </button>
+            <button class="icon-btn" data-export="key" title="Print answer key">
+              <span class="material-symbols-rounded">key</span>
+            </button>
+          </div>
         </div>
       </div>
     `).join('');
@@ -2140,7 +2412,10 @@ async function loadQuizzes(filters = {}) {
     // Add click handlers
     grid.querySelectorAll('.quiz-card').forEach(card => {
       card.addEventListener('click', (e) => {
-        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+        const exportBtn = e.target.closest('[data-export]');
+        if (exportBtn) {
+          printQuizExport(card.dataset.quizId, exportBtn.dataset.export);
+        } else if (e.shiftKey || e.ctrlKey || e.metaKey) {
           // Toggle selection for shuffle
           toggleQuizSelection(card.dataset.quizId);
         } else {
@@ -2152,6 +2427,7 @@ async function loadQuizzes(filters = {}) {
     
     // Add card glow effect
     initCardGlow(grid);
+    updateReviewButton();
   } catch (e) {
     grid.innerHTML = `
       <div class="empty-state" style="grid-column: 1 / -1;">
@@ -2163,6 +2439,43 @@ async function loadQuizzes(filters = {}) {
   }
 }
 
+// Print a quiz's worksheet or answer key from an off-screen frame
+async function printQuizExport(quizId, part) {
+  try {
+    showToast(part === 'key' ? 'Preparing answer key...' : 'Preparing worksheet...', 'info');
+    const html = await quizApi.exportQuiz(quizId, 'html', part);
+    
+    // Sandboxed without allow-same-origin, the worksheet runs in an opaque origin and can only talk back by message
+    const frame = document.createElement('iframe');
+    frame.className = 'print-frame';
+    frame.sandbox = 'allow-scripts allow-modals';
+    frame.srcdoc = html;
+    
+    const onMessage = (event) => {
+      if (event.source !== frame.contentWindow || event.data?.type !== 'opennotes-export') return;
+      if (event.data.event === 'mathReady') print();
+      if (event.data.event === 'afterprint') cleanup();
+    };
+    // The worksheet says when KaTeX has typeset the math; print raw LaTeX if the CDN is unreachable
+    const fallback = setTimeout(() => print(), 5000);
+    let printed = false;
+    function print() {
+      if (printed) return;
+      printed = true;
+      clearTimeout(fallback);
+      frame.contentWindow.postMessage({ type: 'opennotes-export', event: 'print' }, '*');
+    }
+    function cleanup() {
+      window.removeEventListener('message', onMessage);
+      frame.remove();
+    }
+    window.addEventListener('message', onMessage);
+    document.body.appendChild(frame);
+  } catch (e) {
+    showToast('Failed to export quiz: ' + e.message, 'error');
+  }
+}
+
 function toggleQuizSelection(quizId) {
   if (quizState.selectedQuizIds.has(quizId)) {
     quizState.selectedQuizIds.delete(quizId);
@@ -2186,33 +2499,37 @@ function toggleQuizSelection(quizId) {
   }
 }
 
+// Reset player state, start the timer and show the first question
+function beginQuizSession(quiz) {
+  quizState.currentQuiz = quiz;
+  quizState.currentQuestionIndex = 0;
+  quizState.answers = {};
+  quizState.submittedQuestions = {};
+  quizState.reviewMode = false;
+  quizState._matchingSelected = undefined;
+  
+  // Start timer
+  quizState.timerSeconds = 0;
+  clearInterval(quizState.timerInterval);
+  quizState.timerInterval = setInterval(() => {
+    quizState.timerSeconds++;
+    const timerEl = document.getElementById('quiz-timer');
+    if (timerEl) {
+      const mins = Math.floor(quizState.timerSeconds / 60);
+      const secs = quizState.timerSeconds % 60;
+      timerEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+  }, 1000);
+  
+  showView('quiz-take');
+  renderQuizQuestion();
+}
+
 async function startQuiz(quizId) {
   try {
     showToast('Loading quiz...', 'info');
     const quiz = await quizApi.getQuiz(quizId);
-    
-    quizState.currentQuiz = quiz;
-    quizState.currentQuestionIndex = 0;
-    quizState.answers = {};
-    quizState.submittedQuestions = {};
-    quizState.reviewMode = false;
-    quizState._matchingSelected = undefined;
-    
-    // Start timer
-    quizState.timerSeconds = 0;
-    clearInterval(quizState.timerInterval);
-    quizState.timerInterval = setInterval(() => {
-      quizState.timerSeconds++;
-      const timerEl = document.getElementById('quiz-timer');
-      if (timerEl) {
-        const mins = Math.floor(quizState.timerSeconds / 60);
-        const secs = quizState.timerSeconds % 60;
-        timerEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
-      }
-    }, 1000);
-    
-    showView('quiz-take');
-    renderQuizQuestion();
+    beginQuizSession(quiz);
   } catch (e) {
     showToast('Failed to load quiz: ' + e.message, 'error');
   }
@@ -2227,30 +2544,8 @@ async function shuffleAndStartQuizzes() {
   try {
     showToast('Creating shuffled quiz...', 'info');
     const combined = await quizApi.shuffleQuizzes([...quizState.selectedQuizIds]);
-    
-    quizState.currentQuiz = combined;
-    quizState.currentQuestionIndex = 0;
-    quizState.answers = {};
-    quizState.submittedQuestions = {};
-    quizState.reviewMode = false;
-    quizState._matchingSelected = undefined;
     quizState.selectedQuizIds.clear();
-    
-    // Start timer
-    quizState.timerSeconds = 0;
-    clearInterval(quizState.timerInterval);
-    quizState.timerInterval = setInterval(() => {
-      quizState.timerSeconds++;
-      const timerEl = document.getElementById('quiz-timer');
-      if (timerEl) {
-        const mins = Math.floor(quizState.timerSeconds / 60);
-        const secs = quizState.timerSeconds % 60;
-        timerEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
-      }
-    }, 1000);
-    
-    showView('quiz-take');
-    renderQuizQuestion();
+    beginQuizSession(combined);
   } catch (e) {
     showToast('Failed to shuffle quizzes: ' + e.message, 'error');
   }
@@ -2737,6 +3032,47 @@ function submitQuiz() {
     timeEl.textContent = mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
   }
   
+  // Persist the attempt locally, and to the gateway when signed in. Review
+  // sessions mix questions from many quizzes, so they only update the schedule.
+  const percent = Math.round((correct / quiz.questions.length) * 100);
+  if (!quiz.isReview) {
+    storage.saveQuizAttempt({
+      id: `${quiz.id}-${Date.now().toString(36)}`,
+      quizId: quiz.id,
+      title: quiz.title,
+      subject: quiz.subject,
+      topic: quiz.topic || null,
+      correctCount: correct,
+      total: quiz.questions.length,
+      percent,
+      timeTaken: totalTime,
+      submittedAt: new Date().toISOString(),
+      breakdown: quiz.questions.map((q, i) => ({
+        questionId: q.id,
+        sourceQuiz: q.sourceQuiz || quiz.id,
+        type: q.type,
+        correct: breakdown[i].correct,
+      })),
+    });
+  }
+  if (!quiz.isTemporary && localStorage.getItem('auth_token_fallback')) {
+    quizApi.submitAttempt(quiz.id, quizState.answers, totalTime)
+      .catch(e => console.warn('[Quiz] Attempt not synced:', e.message));
+  }
+  
+  // Feed results into the spaced-repetition schedule
+  reviewScheduler.recordQuiz(quiz, quizState.submittedQuestions);
+  updateReviewButton();
+  
+  const historyEl = document.getElementById('results-history');
+  const stats = quiz.isReview ? null : storage.getQuizStats(quiz.id);
+  if (historyEl) {
+    historyEl.textContent = !stats ? ''
+      : stats.attempts > 1
+        ? `Attempt ${stats.attempts} · Best ${stats.bestPercent}% · Average ${stats.averagePercent}%`
+        : 'First attempt';
+  }
+  
   const breakdownEl = document.getElementById('results-breakdown');
   breakdownEl.innerHTML = breakdown.map((item, i) => `
     <div class="results-breakdown-item">
@@ -2759,6 +3095,130 @@ function submitQuiz() {
   `).join('');
 }
 
+// ==================== SPACED REPETITION ====================
+// SM-2 scheduling per question, keyed by `<quizId>:<questionId>`
+const reviewScheduler = {
+  getCards() {
+    return storage.get('review_cards') || {};
+  },
+  
+  saveCards(cards) {
+    storage.set('review_cards', cards);
+  },
+  
+  // Update one card with an SM-2 quality grade (0-5; >= 3 counts as recalled)
+  record(cards, quizId, questionId, quality) {
+    const key = `${quizId}:${questionId}`;
+    const card = cards[key] || { quizId, questionId, ease: 2.5, interval: 0, repetitions: 0 };
+    
+    if (quality < 3) {
+      card.repetitions = 0;
+      card.interval = 1;
+    } else {
+      card.interval = card.repetitions === 0 ? 1 : card.repetitions === 1 ? 6 : Math.round(card.interval * card.ease);
+      card.repetitions++;
+    }
+    card.ease = Math.max(1.3, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    card.lastReviewed = Date.now();
+    card.due = Date.now() + card.interval * 24 * 60 * 60 * 1000;
+    cards[key] = card;
+  },
+  
+  // Record every graded question of a finished quiz; unrated FRQs are skipped
+  recordQuiz(quiz, submitted) {
+    const cards = this.getCards();
+    quiz.questions.forEach(q => {
+      const result = submitted[q.id]?.correct;
+      if (result !== true && result !== false) return;
+      // Shuffled/review sessions renumber questions, so use the source ids
+      if (quiz.isTemporary && !q.sourceQuestionId) return;
+      this.record(cards, q.sourceQuiz || quiz.id, q.sourceQuestionId || q.id, result ? 4 : 1);
+    });
+    this.saveCards(cards);
+  },
+  
+  getDueCards(now = Date.now()) {
+    return Object.values(this.getCards())
+      .filter(card => card.due <= now)
+      .sort((a, b) => a.due - b.due);
+  },
+  
+  removeCard(quizId, questionId) {
+    const cards = this.getCards();
+    delete cards[`${quizId}:${questionId}`];
+    this.saveCards(cards);
+  },
+};
+
+function updateReviewButton() {
+  const btn = document.getElementById('quiz-review-btn');
+  if (!btn) return;
+  const dueCount = reviewScheduler.getDueCards().length;
+  btn.disabled = dueCount === 0;
+  btn.innerHTML = dueCount > 0
+    ? `<span class="material-symbols-rounded">event_repeat</span> Review Due (${dueCount})`
+    : '<span class="material-symbols-rounded">event_repeat</span> Review Due';
+}
+
+// Assemble a session from due questions across quizzes and play it with the normal renderer
+async function startReviewSession() {
+  const due = reviewScheduler.getDueCards().slice(0, CONFIG.REVIEW_SESSION_SIZE);
+  if (due.length === 0) {
+    showToast('No questions due for review', 'info');
+    return;
+  }
+  
+  try {
+    showToast('Building review session...', 'info');
+    const quizzes = {};
+    for (const quizId of new Set(due.map(card => card.quizId))) {
+      try {
+        quizzes[quizId] = await quizApi.getQuiz(quizId);
+      } catch (e) {
+        console.warn('[Review] Skipping unavailable quiz', quizId, e.message);
+      }
+    }
+    
+    const questions = [];
+    due.forEach(card => {
+      const quiz = quizzes[card.quizId];
+      if (!quiz) return;
+      const question = quiz.questions.find(q => q.id === card.questionId);
+      if (!question) {
+        // Question was removed from its quiz; stop scheduling it
+        reviewScheduler.removeCard(card.quizId, card.questionId);
+        return;
+      }
+      questions.push({
+        ...question,
+        id: `rq${questions.length + 1}`,
+        sourceQuiz: quiz.id,
+        sourceQuestionId: question.id,
+        sourceTitle: quiz.title,
+      });
+    });
+    
+    if (questions.length === 0) {
+      showToast('Due questions could not be loaded', 'error');
+      updateReviewButton();
+      return;
+    }
+    
+    const subjects = new Set(Object.values(quizzes).map(q => q.subject));
+    beginQuizSession({
+      id: 'review-' + Date.now(),
+      title: `Review (${questions.length} due)`,
+      subject: [...subjects].join(', '),
+      questions,
+      createdAt: new Date().toISOString(),
+      isTemporary: true,
+      isReview: true,
+    });
+  } catch (e) {
+    showToast('Failed to start review: ' + e.message, 'error');
+  }
+}
+
 // Quiz Creator Functions
 
 // -- Rich text editor helper for question fields --
@@ -3366,6 +3826,7 @@ async function saveQuiz() {
     document.getElementById('quiz-topic').value = '';
     document.getElementById('quiz-tags').value = '';
     if (document.getElementById('quiz-description')) document.getElementById('quiz-description').value = '';
+    document.getElementById('quiz-import-report')?.classList.add('hidden');
     renderQuestionsList();
     
     // Go to browse view
@@ -3376,11 +3837,71 @@ async function saveQuiz() {
   }
 }
 
+// Import a CSV, Moodle GIFT (.gift/.txt) or QTI 2.1 (.xml) file into the creator
+async function importQuizFile(file) {
+  if (!file) return;
+  const extension = file.name.split('.').pop().toLowerCase();
+  const format = extension === 'csv' ? 'csv' : extension === 'xml' ? 'qti' : 'gift';
+  
+  try {
+    showToast('Importing questions...', 'info');
+    const result = await quizApi.importQuiz(format, await file.text());
+    const imported = result.quiz.questions.map((q, i) => ({
+      ...q,
+      id: `q${Date.now()}_${i}`,
+      explanation: q.explanation || '',
+      svg: q.svg || '',
+    }));
+    quizState.creatorQuestions.push(...imported);
+    
+    const titleInput = document.getElementById('quiz-title');
+    if (titleInput && !titleInput.value.trim() && result.quiz.title) titleInput.value = result.quiz.title;
+    
+    renderQuestionsList();
+    renderImportReport(file.name, result.questions, imported.length);
+    const skipped = result.questions.length - imported.length;
+    showToast(`Imported ${imported.length} question${imported.length === 1 ? '' : 's'}${skipped ? `, ${skipped} skipped` : ''}`, skipped ? 'info' : 'success');
+  } catch (e) {
+    showToast('Failed to import: ' + e.message, 'error');
+  }
+}
+
+// List the questions an import skipped (errors) or changed (warnings)
+function renderImportReport(fileName, report, importedCount) {
+  const container = document.getElementById('quiz-import-report');
+  if (!container) return;
+  
+  const problems = report.filter(entry => entry.errors.length || entry.warnings.length);
+  if (problems.length === 0) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+  
+  container.innerHTML = `
+    <div class="quiz-import-report-header">
+      <span>${escapeHtml(fileName)}: ${importedCount} of ${report.length} questions imported</span>
+      <button class="icon-btn" onclick="document.getElementById('quiz-import-report').classList.add('hidden')" title="Dismiss">
+        <span class="material-symbols-rounded">close</span>
+      </button>
+    </div>
+    <ul>
+      ${problems.map(entry => [
+        ...entry.errors.map(message => `<li class="error">${escapeHtml(`${entry.source}: ${message}`)}</li>`),
+        ...entry.warnings.map(message => `<li class="warning">${escapeHtml(`${entry.source}: ${message}`)}</li>`),
+      ].join('')).join('')}
+    </ul>
+  `;
+  container.classList.remove('hidden');
+}
+
 // Initialize quiz event listeners
 function initQuizListeners() {
   // Quiz browse
   document.getElementById('quiz-refresh-btn')?.addEventListener('click', () => loadQuizzes());
   document.getElementById('quiz-shuffle-btn')?.addEventListener('click', shuffleAndStartQuizzes);
+  document.getElementById('quiz-review-btn')?.addEventListener('click', startReviewSession);
+  updateReviewButton();
   
   // Quiz subject filter (free-form text input)
   const subjectFilter = document.getElementById('quiz-subject-filter');
@@ -3406,6 +3927,11 @@ function initQuizListeners() {
   document.getElementById('add-fitb-btn')?.addEventListener('click', () => addQuestion('fitb'));
   document.getElementById('add-matching-btn')?.addEventListener('click', () => addQuestion('matching'));
   document.getElementById('add-frq-btn')?.addEventListener('click', () => addQuestion('frq'));
+  document.getElementById('import-quiz-btn')?.addEventListener('click', () => document.getElementById('import-quiz-file')?.click());
+  document.getElementById('import-quiz-file')?.addEventListener('change', (e) => {
+    importQuizFile(e.target.files[0]);
+    e.target.value = '';
+  });
   document.getElementById('save-quiz-btn')?.addEventListener('click', saveQuiz);
   
   // Quiz navigation
@@ -3421,27 +3947,7 @@ function initQuizListeners() {
   
   // Quiz results
   document.getElementById('retake-quiz-btn')?.addEventListener('click', () => {
-    quizState.currentQuestionIndex = 0;
-    quizState.answers = {};
-    quizState.submittedQuestions = {};
-    quizState.reviewMode = false;
-    quizState._matchingSelected = undefined;
-    
-    // Restart timer
-    quizState.timerSeconds = 0;
-    clearInterval(quizState.timerInterval);
-    quizState.timerInterval = setInterval(() => {
-      quizState.timerSeconds++;
-      const timerEl = document.getElementById('quiz-timer');
-      if (timerEl) {
-        const mins = Math.floor(quizState.timerSeconds / 60);
-        const secs = quizState.timerSeconds % 60;
-        timerEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
-      }
-    }, 1000);
-    
-    showView('quiz-take');
-    renderQuizQuestion();
+    beginQuizSession(quizState.currentQuiz);
   });
   document.getElementById('review-quiz-btn')?.addEventListener('click', () => {
     quizState.reviewMode = true;
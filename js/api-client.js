@@ -27,6 +27,9 @@ class OpenNotesAPIClient {
         // Whether we're using the secure gateway
         this.useGateway = !!this.gatewayUrl;
         
+        // Stable per-browser ID so the gateway counts each client's views once
+        this.clientId = options.clientId || this.getClientId();
+        
         // Cache storage
         this.cache = new Map();
         this.cacheTimestamps = new Map();
@@ -39,13 +42,19 @@ class OpenNotesAPIClient {
         this.isProcessingQueue = false;
         this.rateLimit = options.rateLimit || 10; // requests per second
         
+        // Gateway rate limit, as reported by the X-RateLimit-* response headers
+        this.rateLimitState = null;
+        // Start spacing out requests once this fraction of the limit remains
+        this.rateLimitThreshold = options.rateLimitThreshold ?? 0.1;
+        
         // Statistics
         this.stats = {
             requestCount: 0,
             successCount: 0,
             errorCount: 0,
             cacheHits: 0,
-            cacheMisses: 0
+            cacheMisses: 0,
+            rateLimited: 0
         };
     }
 
@@ -140,6 +149,89 @@ class OpenNotesAPIClient {
         this.cacheTimestamps.delete(key);
     }
 
+    // ==================== RATE LIMITING ====================
+
+    /**
+     * Record the gateway's rate limit headers from a response
+     * @param {Response} response - Fetch response
+     */
+    updateRateLimit(response) {
+        const limit = parseInt(response.headers.get('X-RateLimit-Limit'), 10);
+        const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+        const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+
+        if (Number.isNaN(limit) || Number.isNaN(remaining)) {
+            // Nothing to go on but a 429's Retry-After
+            if (response.status === 429) {
+                this.rateLimitState = {
+                    limit: this.rateLimitState?.limit ?? null,
+                    remaining: 0,
+                    resetAt: Date.now() + (Number.isNaN(retryAfter) ? this.retryDelay : retryAfter * 1000)
+                };
+            }
+        } else {
+            this.rateLimitState = {
+                limit,
+                remaining: response.status === 429 ? 0 : remaining,
+                resetAt: response.status === 429 && !Number.isNaN(retryAfter)
+                    ? Date.now() + retryAfter * 1000
+                    : (Number.isNaN(reset) ? Date.now() + 60000 : reset * 1000)
+            };
+        }
+
+        const state = this.rateLimitState;
+        if (state && (response.status === 429 || state.remaining <= state.limit * this.rateLimitThreshold)) {
+            if (response.status === 429) this.stats.rateLimited++;
+            this.emit('api:rate:limited', {
+                ...state,
+                status: response.status,
+                retryAfter: Math.max(0, Math.ceil((state.resetAt - Date.now()) / 1000))
+            });
+        }
+    }
+
+    /**
+     * Milliseconds to wait before the next request so we stay under the limit.
+     * Waits for the reset when the limit is used up, and spreads the remaining
+     * requests over the rest of the window once below the threshold.
+     * @returns {number} Delay in milliseconds
+     */
+    getRateLimitDelay() {
+        const state = this.rateLimitState;
+        if (!state) return 0;
+
+        const untilReset = state.resetAt - Date.now();
+        if (untilReset <= 0) {
+            this.rateLimitState = null;
+            return 0;
+        }
+        if (state.remaining <= 0) return untilReset;
+        if (state.limit && state.remaining <= state.limit * this.rateLimitThreshold) {
+            return Math.ceil(untilReset / (state.remaining + 1));
+        }
+        return 0;
+    }
+
+    /**
+     * Get (or create and persist) this browser's client ID
+     * @returns {string|null} Client ID, or null when none can be generated
+     */
+    getClientId() {
+        const storageKey = 'openNotes_clientId';
+        try {
+            let id = localStorage.getItem(storageKey);
+            if (!id) {
+                id = crypto.randomUUID();
+                localStorage.setItem(storageKey, id);
+            }
+            return id;
+        } catch {
+            // No storage (e.g. Node or private mode): a per-instance ID still dedupes repeats
+            return globalThis.crypto?.randomUUID?.() || null;
+        }
+    }
+
     // ==================== CORE REQUEST METHOD ====================
 
     /**
@@ -150,6 +242,7 @@ class OpenNotesAPIClient {
     async request(options) {
         const {
             method = 'GET',
+            path = '',
             params = {},
             body = null,
             useCache = true,
@@ -157,7 +250,7 @@ class OpenNotesAPIClient {
         } = options;
 
         // Generate cache key
-        const cacheKey = `${method}:${JSON.stringify(params)}`;
+        const cacheKey = `${method}:${path}${JSON.stringify(params)}`;
         
         // Check cache for GET requests
         if (method === 'GET' && useCache) {
@@ -169,7 +262,7 @@ class OpenNotesAPIClient {
         }
 
         // Build URL with parameters
-        const url = new URL(this.apiUrl);
+        const url = new URL(this.apiUrl.replace(/\/+$/, '') + path);
         Object.entries(params).forEach(([key, value]) => {
             if (value !== undefined && value !== null) {
                 url.searchParams.append(key, value);
@@ -190,6 +283,14 @@ class OpenNotesAPIClient {
             // Using gateway with app token
             fetchOptions.headers['X-App-Token'] = this.appToken;
         }
+        if (this.useGateway && this.clientId) {
+            fetchOptions.headers['X-Client-Id'] = this.clientId;
+        }
+        // One ID for every attempt, so retries show up together in the gateway logs
+        const requestId = this.useGateway ? globalThis.crypto?.randomUUID?.() || null : null;
+        if (requestId) {
+            fetchOptions.headers['X-Request-Id'] = requestId;
+        }
         // Note: When using the gateway from the official frontend (nagusamecs.github.io),
         // no token is needed - the gateway allows official origins without a token.
 
@@ -201,8 +302,14 @@ class OpenNotesAPIClient {
         let lastError;
         for (let attempt = 1; attempt <= this.retries; attempt++) {
             try {
+                // Back off before the gateway has to reject us
+                const wait = this.getRateLimitDelay();
+                if (wait > 0) {
+                    await this.delay(wait);
+                }
+
                 this.stats.requestCount++;
-                this.emit('request:start', { url: url.toString(), attempt });
+                this.emit('request:start', { url: url.toString(), attempt, requestId });
 
                 const controller = new AbortController();
                 const timeoutId = setTimeout(() => controller.abort(), this.timeout);
@@ -210,13 +317,17 @@ class OpenNotesAPIClient {
 
                 const response = await fetch(url, fetchOptions);
                 clearTimeout(timeoutId);
+                this.updateRateLimit(response);
 
                 if (!response.ok) {
                     const errorData = await response.json().catch(() => ({}));
+                    // The gateway sends { error: { code, message, details, requestId } }
+                    const envelope = typeof errorData.error === 'object' ? errorData.error : null;
                     throw new OpenNotesAPIError(
-                        errorData.error || `HTTP ${response.status}`,
+                        envelope?.message || errorData.error || `HTTP ${response.status}`,
                         response.status,
-                        errorData
+                        errorData,
+                        response.headers.get('X-Request-Id') || envelope?.requestId || requestId
                     );
                 }
 
@@ -234,9 +345,10 @@ class OpenNotesAPIClient {
             } catch (error) {
                 lastError = error;
                 this.stats.errorCount++;
-                this.emit('request:error', { url: url.toString(), error, attempt });
+                this.emit('request:error', { url: url.toString(), error, attempt, requestId });
 
-                if (attempt < this.retries) {
+                // A 429 waits for the reset at the top of the next attempt instead
+                if (attempt < this.retries && error.statusCode !== 429) {
                     await this.delay(this.retryDelay * attempt);
                 }
             }
@@ -302,11 +414,28 @@ class OpenNotesAPIClient {
 
     /**
      * Search notes
+     * Through the gateway, results are ranked server-side and each item
+     * carries `score` and `highlights`; the response also has `facets`
      * @param {string} query - Search query
      * @param {Object} options - Search options
      * @returns {Promise<Object>} Search results
      */
     async searchNotes(query, options = {}) {
+        if (this.useGateway) {
+            return this.request({
+                path: '/api/search',
+                params: {
+                    q: query,
+                    sort: options.sort || 'relevance',
+                    limit: options.limit || CONFIG.DEFAULTS.LIMIT,
+                    offset: options.offset || 0,
+                    format: options.format,
+                    author: options.author,
+                    verified: options.verifiedOnly ? 'true' : undefined
+                },
+                cacheMaxAge: CONFIG.CACHE.NOTES_LIST
+            });
+        }
         return this.request({
             params: {
                 type: 'list',
@@ -439,11 +568,19 @@ class OpenNotesAPIClient {
 
     /**
      * Increment view counter for a note
+     * Through the gateway, repeats from this client within 30 minutes aren't counted
      * @param {string} noteId - Note ID or name
-     * @returns {Promise<Object>} Updated counter
+     * @returns {Promise<Object>} Updated counter, or `{ counted: false }` for a repeat
      */
     async incrementViews(noteId) {
         this.clearCacheEntry(`GET:${JSON.stringify({ type: 'note', noteId })}`);
+        if (this.useGateway) {
+            return this.request({
+                method: 'POST',
+                path: `/api/notes/${encodeURIComponent(noteId)}/views`,
+                useCache: false
+            });
+        }
         return this.request({
             method: 'POST',
             params: {
@@ -457,11 +594,19 @@ class OpenNotesAPIClient {
 
     /**
      * Increment download counter for a note
+     * Through the gateway, repeats from this client within 24 hours aren't counted
      * @param {string} noteId - Note ID or name
-     * @returns {Promise<Object>} Updated counter
+     * @returns {Promise<Object>} Updated counter, or `{ counted: false }` for a repeat
      */
     async incrementDownloads(noteId) {
         this.clearCacheEntry(`GET:${JSON.stringify({ type: 'note', noteId })}`);
+        if (this.useGateway) {
+            return this.request({
+                method: 'POST',
+                path: `/api/notes/${encodeURIComponent(noteId)}/downloads`,
+                useCache: false
+            });
+        }
         return this.request({
             method: 'POST',
             params: {
@@ -667,7 +812,8 @@ class OpenNotesAPIClient {
             successCount: 0,
             errorCount: 0,
             cacheHits: 0,
-            cacheMisses: 0
+            cacheMisses: 0,
+            rateLimited: 0
         };
     }
 
@@ -737,16 +883,22 @@ class OpenNotesAPIClient {
  * Custom error class for OpenNotes API errors
  */
 class OpenNotesAPIError extends Error {
-    constructor(message, statusCode, data = {}) {
+    constructor(message, statusCode, data = {}, requestId = null) {
         super(message);
         this.name = 'OpenNotesAPIError';
         this.statusCode = statusCode;
         this.data = data;
+        // Machine-readable code and extra fields from the gateway's error envelope
+        this.code = data?.error?.code ?? null;
+        this.details = data?.error?.details ?? null;
+        // Matches the requestId field of the gateway's log line for this request
+        this.requestId = requestId;
     }
 
     is403() { return this.statusCode === 403; }
     is401() { return this.statusCode === 401; }
     is404() { return this.statusCode === 404; }
+    is429() { return this.statusCode === 429; }
     is500() { return this.statusCode >= 500; }
 }
 
@@ -388,8 +388,13 @@ class OpenNotesSearch {
 
     /**
      * Full-text search across all fields
+     * The gateway ranks results itself; without it, notes are scored here
      */
     async fullTextSearch(query, options = {}) {
+        if (this.api.useGateway) {
+            return this.api.searchNotes(query, { ...options, sort: 'relevance' });
+        }
+
         const response = await this.api.getNotes({ limit: 1000 });
         const notes = response?.items || [];
         const queryLower = query.toLowerCase();
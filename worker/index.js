@@ -8,21 +8,58 @@
  * - OPENNOTES_API_KEY: The actual API key for OpenNotes
  * - APP_TOKENS: JSON string of authorized app tokens
  * - ADMIN_TOKEN: Token for admin operations
+ * - UPSTREAM_USER_URL: Upstream endpoint that resolves a user's Bearer token to their account (optional, defaults to /auth/me)
  * - QUIZ_KV: KV namespace for quiz storage (optional, falls back to in-memory)
+ * - AUTH_KV: KV namespace for desktop auth codes (required for desktop sign-in)
+ * - AUTH_CODE_SECRET: Secret keying desktop auth codes (required for desktop sign-in)
+ * - USAGE_KV: KV namespace for per-app usage metering (optional, falls back to in-memory)
+ * - RATE_LIMITER: Durable Object namespace for the RateLimiter class (optional)
+ * - RATE_LIMIT_KV: KV namespace for rate limit counters (optional, used when no RATE_LIMITER; only for ~1 req/s per app)
+ * - COUNTER_KV: KV namespace for view/download deduplication (optional, falls back to in-memory)
  * 
  * @license MIT
  */
 
 const OPENNOTES_API = 'https://open-notes.tebby2008-li.workers.dev';
+const GATEWAY_VERSION = '1.2.0';
 
 // ==================== QUIZ STORAGE ====================
 // In-memory quiz store (for dev/demo; use KV in production for persistence)
 const quizStore = new Map();
+// Prior quiz versions keyed by `<id>:v<revision>` (mirrors the KV `quiz:<id>:v<n>` keys)
+const quizRevisionStore = new Map();
+// Graded attempts keyed like the KV `attempt:<owner>:<quizId>:<attemptId>` keys
+const attemptStore = new Map();
 let quizzesSeeded = false;
 
 // Quiz schema version for forward compatibility
 const QUIZ_SCHEMA_VERSION = '1.0';
 
+// Question types produced by the desktop quiz creator
+const QUESTION_TYPES = ['mcq', 'tf', 'fitb', 'matching', 'frq'];
+
+// Quiz diagrams are stored as SVG markup; only these drawing elements are accepted
+const SVG_ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'title', 'desc', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'marker', 'lineargradient', 'radialgradient', 'stop', 'pattern', 'clippath', 'mask', 'use', 'symbol'
+]);
+const SVG_MAX_LENGTH = 100 * 1024;
+
+// Tags are indexed one KV key each, so keep them few and short
+const QUIZ_MAX_TAGS = 20;
+const QUIZ_TAG_MAX_LENGTH = 40;
+
+// Sortable quiz list fields, and the rank used when sorting by difficulty
+const QUIZ_SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'difficulty', 'questionCount'];
+const DIFFICULTY_RANK = { easy: 1, medium: 2, hard: 3 };
+
+// Page size limits for GET /api/quizzes
+const QUIZ_PAGE_DEFAULT = 50;
+const QUIZ_PAGE_MAX = 100;
+
+// Cloudflare KV caps per-key metadata at 1024 bytes
+const KV_METADATA_MAX_BYTES = 1024;
+
 // ==================== SEED QUIZZES ====================
 const SEED_QUIZZES = [
   // ----- IB Math AA HL -----
@@ -237,6 +274,29 @@ function generateQuizId() {
   return id;
 }
 
+/**
+ * Check diagram markup against the SVG element allowlist: every tag must parse,
+ * no on* handlers, links only to in-document fragments and no url()s elsewhere
+ */
+function isSafeSvg(svg) {
+  const markup = svg.trim();
+  if (markup.length > SVG_MAX_LENGTH || !/^<svg[\s>]/i.test(markup) || !/<\/svg\s*>$/i.test(markup)) return false;
+  const tagPattern = /<(\/?)([A-Za-z][\w.:-]*)((?:\s+[^\s"'=<>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g;
+  const attrPattern = /([^\s"'=<>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+  for (const [, , name, attrs] of markup.matchAll(tagPattern)) {
+    if (!SVG_ALLOWED_ELEMENTS.has(name.toLowerCase())) return false;
+    for (const [, attrName, doubleQuoted, singleQuoted] of attrs.matchAll(attrPattern)) {
+      const attr = attrName.toLowerCase();
+      const value = (doubleQuoted ?? singleQuoted ?? '').replace(/\s+/g, '').toLowerCase();
+      if (attr.startsWith('on') || value.includes('&#') || value.includes('javascript:')) return false;
+      if ((attr === 'href' || attr.endsWith(':href')) && !value.startsWith('#')) return false;
+      if (/url\((?!['"]?#)/.test(value)) return false;
+    }
+  }
+  // Anything left that still opens a tag (comments, CDATA, processing instructions) failed to parse
+  return !markup.replace(tagPattern, '').includes('<');
+}
+
 /**
  * Validate quiz structure
  */
@@ -251,33 +311,140 @@ function validateQuiz(quiz) {
     errors.push('Subject is required');
   }
   
+  if (quiz.tags !== undefined && quiz.tags !== null) {
+    if (!Array.isArray(quiz.tags) || quiz.tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > QUIZ_TAG_MAX_LENGTH)) {
+      errors.push(`Tags must be an array of non-empty strings of at most ${QUIZ_TAG_MAX_LENGTH} characters`);
+    } else if (quiz.tags.length > QUIZ_MAX_TAGS) {
+      errors.push(`A quiz can have at most ${QUIZ_MAX_TAGS} tags`);
+    }
+  }
+  
   if (!quiz.questions || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
     errors.push('At least one question is required');
   } else {
-    quiz.questions.forEach((q, i) => {
-      if (!q.type || !['mcq', 'frq'].includes(q.type)) {
-        errors.push(`Question ${i + 1}: Invalid type (must be mcq or frq)`);
-      }
-      if (!q.question || typeof q.question !== 'string') {
-        errors.push(`Question ${i + 1}: Question text is required`);
-      }
-      if (q.type === 'mcq') {
-        if (!q.options || !Array.isArray(q.options) || q.options.length < 2) {
-          errors.push(`Question ${i + 1}: MCQ requires at least 2 options`);
-        }
-        if (!q.correctAnswers || !Array.isArray(q.correctAnswers) || q.correctAnswers.length === 0) {
-          errors.push(`Question ${i + 1}: At least one correct answer is required`);
-        }
+    quiz.questions.forEach((q, i) => errors.push(...validateQuestion(q, i)));
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate one question; each error names it by its 1-based position
+ */
+function validateQuestion(q, i) {
+  const errors = [];
+  
+  if (!q || typeof q !== 'object') {
+    return [`Question ${i + 1}: Must be an object`];
+  }
+  if (!q.type || !QUESTION_TYPES.includes(q.type)) {
+    errors.push(`Question ${i + 1}: Invalid type (must be one of ${QUESTION_TYPES.join(', ')})`);
+  }
+  if (!q.question || typeof q.question !== 'string') {
+    errors.push(`Question ${i + 1}: Question text is required`);
+  }
+  if (q.svg && (typeof q.svg !== 'string' || !isSafeSvg(q.svg))) {
+    errors.push(`Question ${i + 1}: Diagram must be an <svg> drawing of shapes and text, without scripts, event handlers or external links`);
+  }
+  if (q.points !== undefined && q.points !== null && (typeof q.points !== 'number' || !Number.isFinite(q.points) || q.points <= 0)) {
+    errors.push(`Question ${i + 1}: Points must be a positive number`);
+  }
+  for (const field of ['explanation', 'hint']) {
+    if (q[field] !== undefined && q[field] !== null && typeof q[field] !== 'string') {
+      errors.push(`Question ${i + 1}: ${field[0].toUpperCase()}${field.slice(1)} must be a string`);
+    }
+  }
+  if (q.type === 'mcq') {
+    if (!q.options || !Array.isArray(q.options) || q.options.length < 2) {
+      errors.push(`Question ${i + 1}: MCQ requires at least 2 options`);
+    } else if (q.options.some(o => typeof o !== 'string')) {
+      errors.push(`Question ${i + 1}: Options must be strings`);
+    }
+    if (!q.correctAnswers || !Array.isArray(q.correctAnswers) || q.correctAnswers.length === 0) {
+      errors.push(`Question ${i + 1}: At least one correct answer is required`);
+    } else if (Array.isArray(q.options) && q.correctAnswers.some(a => !Number.isInteger(a) || a < 0 || a >= q.options.length)) {
+      errors.push(`Question ${i + 1}: Correct answers must be valid option indexes`);
+    }
+  }
+  if (q.type === 'tf') {
+    if (typeof q.correctAnswer !== 'boolean') {
+      errors.push(`Question ${i + 1}: True/false requires a boolean correctAnswer`);
+    }
+  }
+  if (q.type === 'fitb') {
+    const blanks = q.blanks || q.correctAnswers;
+    if (!Array.isArray(blanks) || blanks.length === 0 || blanks.some(b => typeof b !== 'string' || !b.trim())) {
+      errors.push(`Question ${i + 1}: Fill in the blank requires an answer for every blank`);
+    } else if (typeof q.question === 'string') {
+      const placeholders = q.question.split('___').length - 1;
+      if (placeholders !== blanks.length) {
+        errors.push(`Question ${i + 1}: ${blanks.length} blank answer(s) given but question text has ${placeholders} ___ placeholder(s)`);
       }
-      if (q.type === 'frq') {
-        if (!q.correctAnswers || !Array.isArray(q.correctAnswers) || q.correctAnswers.length === 0) {
-          errors.push(`Question ${i + 1}: At least one accepted answer is required`);
+    }
+  }
+  if (q.type === 'matching') {
+    const left = q.leftItems;
+    const right = q.rightItems;
+    if (!Array.isArray(left) || left.length < 2 || !Array.isArray(right) || right.length < 2) {
+      errors.push(`Question ${i + 1}: Matching requires at least 2 left and 2 right items`);
+    } else if ([...left, ...right].some(item => typeof item !== 'string')) {
+      errors.push(`Question ${i + 1}: Matching items must be strings`);
+    } else if (!q.correctPairs || typeof q.correctPairs !== 'object' || Array.isArray(q.correctPairs)) {
+      errors.push(`Question ${i + 1}: Matching requires a correctPairs object`);
+    } else {
+      left.forEach((_, l) => {
+        const r = Number(q.correctPairs[l]);
+        if (!Number.isInteger(r) || r < 0 || r >= right.length) {
+          errors.push(`Question ${i + 1}: Left item ${l + 1} has no valid match`);
         }
-      }
-    });
+      });
+    }
+  }
+  if (q.type === 'frq') {
+    if (!q.correctAnswers || !Array.isArray(q.correctAnswers) || q.correctAnswers.length === 0) {
+      errors.push(`Question ${i + 1}: At least one accepted answer is required`);
+    } else if (q.correctAnswers.some(a => typeof a !== 'string') || !q.correctAnswers.some(a => a.trim())) {
+      errors.push(`Question ${i + 1}: Accepted answers must be strings, at least one of them non-empty`);
+    }
+  }
+  if (q.tolerance !== undefined && q.tolerance !== null && (typeof q.tolerance !== 'number' || !Number.isFinite(q.tolerance) || q.tolerance < 0)) {
+    errors.push(`Question ${i + 1}: Tolerance must be a non-negative number`);
   }
   
-  return { valid: errors.length === 0, errors };
+  return errors;
+}
+
+/**
+ * Build the stored form of a validated question, keeping only the fields its type uses
+ */
+function normalizeQuestion(q, i) {
+  const base = {
+    id: `q${i + 1}`,
+    type: q.type,
+    question: q.question,
+    explanation: q.explanation || null,
+    points: questionPoints(q),
+    hint: q.hint || null,
+    svg: q.svg || null,
+  };
+
+  switch (q.type) {
+    case 'mcq':
+      return { ...base, options: q.options, correctAnswers: q.correctAnswers };
+    case 'tf':
+      return { ...base, correctAnswer: q.correctAnswer };
+    case 'fitb':
+      return { ...base, blanks: q.blanks || q.correctAnswers, tolerance: q.tolerance ?? null };
+    case 'matching':
+      return {
+        ...base,
+        leftItems: q.leftItems,
+        rightItems: q.rightItems,
+        correctPairs: Object.fromEntries(q.leftItems.map((_, l) => [l, Number(q.correctPairs[l])])),
+      };
+    default:
+      return { ...base, correctAnswers: q.correctAnswers, tolerance: q.tolerance ?? null };
+  }
 }
 
 /**
@@ -292,54 +459,271 @@ async function getQuiz(id, env) {
 }
 
 /**
- * Save quiz to storage
+ * Save quiz to storage, keeping a snapshot of this revision under `quiz:<id>:v<n>`
  */
-async function saveQuiz(id, quiz, env) {
+async function saveQuiz(id, quiz, env, { restoredFrom = null } = {}) {
+  const revision = quiz.revision || 1;
+  const metadata = {
+    revision,
+    title: quiz.title,
+    questionCount: quiz.questions?.length || 0,
+    updatedAt: quiz.updatedAt || quiz.createdAt || null,
+    restoredFrom,
+  };
+  
   if (env?.QUIZ_KV) {
-    await env.QUIZ_KV.put(`quiz:${id}`, JSON.stringify(quiz));
+    // The list summary rides along as metadata so listing never reads question bodies
+    const summary = toQuizSummary(quiz);
+    // Build the index keys before writing anything so a bad summary can't leave the quiz unindexed
+    const indexKeys = quizIndexKeys(summary);
+    await env.QUIZ_KV.put(`quiz:${id}`, JSON.stringify(quiz), quizSummaryMetadata(summary));
+    await env.QUIZ_KV.put(`quiz:${id}:v${revision}`, JSON.stringify(quiz), { metadata });
+    await updateQuizIndex(id, summary, env, indexKeys);
   } else {
     quizStore.set(id, quiz);
+    quizRevisionStore.set(`${id}:v${revision}`, { quiz, metadata });
   }
 }
 
 /**
- * List all quizzes (with optional filters)
+ * Get a stored revision of a quiz
  */
-async function listQuizzes(filters, env) {
-  let quizzes = [];
+async function getQuizRevision(id, revision, env) {
+  if (env?.QUIZ_KV) {
+    return env.QUIZ_KV.get(`quiz:${id}:v${revision}`, 'json');
+  }
+  return quizRevisionStore.get(`${id}:v${revision}`)?.quiz || null;
+}
+
+/**
+ * List revision metadata for a quiz (oldest first)
+ */
+async function listQuizRevisions(id, env) {
+  let revisions = [];
   
   if (env?.QUIZ_KV) {
-    const list = await env.QUIZ_KV.list({ prefix: 'quiz:' });
+    let cursor;
+    do {
+      const list = await env.QUIZ_KV.list({ prefix: `quiz:${id}:v`, cursor });
+      for (const key of list.keys) {
+        if (key.metadata) revisions.push(key.metadata);
+      }
+      cursor = list.list_complete ? null : list.cursor;
+    } while (cursor);
+  } else {
+    for (const [key, entry] of quizRevisionStore.entries()) {
+      if (key.startsWith(`${id}:v`)) revisions.push(entry.metadata);
+    }
+  }
+  
+  return revisions.sort((a, b) => a.revision - b.revision);
+}
+
+/**
+ * Lightweight list projection of a quiz (no question bodies)
+ */
+function toQuizSummary(quiz) {
+  return {
+    id: quiz.id,
+    title: quiz.title,
+    subject: quiz.subject,
+    topic: quiz.topic,
+    difficulty: quiz.difficulty,
+    questionCount: quiz.questions?.length || 0,
+    author: quiz.author,
+    createdAt: quiz.createdAt,
+    updatedAt: quiz.updatedAt || quiz.createdAt,
+    tags: quiz.tags,
+  };
+}
+
+// ---------- Quiz index ----------
+// KV keeps one index key per quiz and facet value, with the quiz summary as its
+// metadata: `index:all:<id>` for every quiz, and `index:<facet>:<value>:<id>`
+// for its subject, topic, tags and author. Listing a prefix returns the
+// summaries without reading any quiz. saveQuiz and deleteQuiz only touch their
+// own quiz's keys, so concurrent saves of different quizzes can't drop each
+// other's entries. `index:all:<id>` also holds the quiz's facet keys, so a save
+// can remove the ones it no longer has. POST /api/admin/quizzes/reindex
+// rebuilds everything from the quiz keys.
+
+const QUIZ_INDEX_ALL = 'index:all:';
+const QUIZ_INDEX_BUILT = 'index:built';
+
+/**
+ * Index key prefix for a facet value (case-insensitive)
+ */
+function quizIndexPrefix(facet, value) {
+  return `index:${facet}:${encodeURIComponent(String(value).trim().toLowerCase())}:`;
+}
+
+/**
+ * All facet index keys a quiz summary belongs to
+ */
+function quizIndexKeys(summary) {
+  const prefixes = [];
+  if (summary.subject) prefixes.push(quizIndexPrefix('subject', summary.subject));
+  if (summary.topic) prefixes.push(quizIndexPrefix('topic', summary.topic));
+  if (summary.author) prefixes.push(quizIndexPrefix('author', summary.author));
+  if (Array.isArray(summary.tags)) summary.tags.forEach(tag => prefixes.push(quizIndexPrefix('tag', tag)));
+  return [...new Set(prefixes)].map(prefix => `${prefix}${summary.id}`);
+}
+
+/**
+ * KV put options carrying a summary as metadata, when it fits
+ */
+function quizSummaryMetadata(summary) {
+  return new TextEncoder().encode(JSON.stringify(summary)).length <= KV_METADATA_MAX_BYTES ? { metadata: summary } : {};
+}
+
+/**
+ * Write a quiz's catalog entry and facet keys
+ */
+async function writeQuizIndex(summary, keys, env) {
+  const options = quizSummaryMetadata(summary);
+  for (const key of keys) {
+    await env.QUIZ_KV.put(key, '', options);
+  }
+  await env.QUIZ_KV.put(`${QUIZ_INDEX_ALL}${summary.id}`, JSON.stringify(keys), options);
+}
+
+/**
+ * Add, replace or (with a null summary) remove a quiz in the KV index
+ */
+async function updateQuizIndex(id, summary, env, nextKeys = summary ? quizIndexKeys(summary) : []) {
+  const previousKeys = await env.QUIZ_KV.get(`${QUIZ_INDEX_ALL}${id}`, 'json') || [];
+  for (const key of previousKeys) {
+    if (!nextKeys.includes(key)) await env.QUIZ_KV.delete(key);
+  }
+  
+  if (summary) {
+    await writeQuizIndex(summary, nextKeys, env);
+  } else {
+    await env.QUIZ_KV.delete(`${QUIZ_INDEX_ALL}${id}`);
+  }
+}
+
+/**
+ * Summaries of the index keys under a prefix whose names pass `include`.
+ * Summaries too big for metadata are read from the quiz itself.
+ */
+async function listQuizIndex(prefix, env, include = () => true) {
+  const summaries = [];
+  let cursor;
+  do {
+    const list = await env.QUIZ_KV.list({ prefix, cursor });
     for (const key of list.keys) {
-      const quiz = await env.QUIZ_KV.get(key.name, 'json');
-      if (quiz) {
-        // Return summary, not full questions
-        quizzes.push({
-          id: quiz.id,
-          title: quiz.title,
-          subject: quiz.subject,
-          topic: quiz.topic,
-          difficulty: quiz.difficulty,
-          questionCount: quiz.questions?.length || 0,
-          author: quiz.author,
-          createdAt: quiz.createdAt,
-          tags: quiz.tags,
-        });
+      if (!include(key.name)) continue;
+      const id = key.name.slice(key.name.lastIndexOf(':') + 1);
+      const quiz = key.metadata ? null : await env.QUIZ_KV.get(`quiz:${id}`, 'json');
+      const summary = key.metadata || (quiz && toQuizSummary(quiz));
+      if (summary) summaries.push(summary);
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+  return summaries;
+}
+
+/**
+ * Read every quiz summary by scanning the namespace (used to build the index)
+ */
+async function scanQuizSummaries(env) {
+  const summaries = [];
+  let cursor;
+  do {
+    const list = await env.QUIZ_KV.list({ prefix: 'quiz:', cursor });
+    for (const key of list.keys) {
+      // Skip revision snapshots (quiz:<id>:v<n>)
+      if (key.name.split(':').length > 2) continue;
+      if (key.metadata) {
+        summaries.push(key.metadata);
+        continue;
       }
+      // Older entries (or oversized summaries) have no metadata; read the body
+      const quiz = await env.QUIZ_KV.get(key.name, 'json');
+      if (quiz) summaries.push(toQuizSummary(quiz));
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+  return summaries;
+}
+
+/**
+ * Rebuild every index key from the quiz keys, dropping keys of quizzes or
+ * facet values that are gone
+ */
+async function rebuildQuizIndex(env) {
+  const summaries = await scanQuizSummaries(env);
+  const current = new Set();
+  let facetKeys = 0;
+  
+  for (const summary of summaries) {
+    const keys = quizIndexKeys(summary);
+    await writeQuizIndex(summary, keys, env);
+    keys.forEach(key => current.add(key));
+    current.add(`${QUIZ_INDEX_ALL}${summary.id}`);
+    facetKeys += keys.length;
+  }
+  
+  let cursor;
+  do {
+    const list = await env.QUIZ_KV.list({ prefix: 'index:', cursor });
+    for (const key of list.keys) {
+      if (key.name !== QUIZ_INDEX_BUILT && !current.has(key.name)) await env.QUIZ_KV.delete(key.name);
     }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+  await env.QUIZ_KV.put(QUIZ_INDEX_BUILT, new Date().toISOString());
+  
+  return { quizzes: summaries.length, facetKeys };
+}
+
+/**
+ * Summaries matching the indexable filters, listing as few index keys as
+ * possible. Exact facets (tags, author) list their own prefix; subject/topic
+ * keep substring matching by listing the whole facet and checking key names.
+ */
+async function readQuizIndex(filters, env) {
+  // First list after deploying the index: build it from the existing quizzes
+  if (!(await env.QUIZ_KV.get(QUIZ_INDEX_BUILT))) {
+    await rebuildQuizIndex(env);
+  }
+  
+  const candidateSets = [];
+  
+  for (const tag of filters.tags || []) {
+    candidateSets.push(await listQuizIndex(quizIndexPrefix('tag', tag), env));
+  }
+  if (filters.author) {
+    candidateSets.push(await listQuizIndex(quizIndexPrefix('author', filters.author), env));
+  }
+  for (const facet of ['subject', 'topic']) {
+    if (!filters[facet]) continue;
+    const prefix = `index:${facet}:`;
+    const needle = encodeURIComponent(filters[facet].trim().toLowerCase());
+    candidateSets.push(await listQuizIndex(prefix, env, name => name.slice(prefix.length, name.lastIndexOf(':')).includes(needle)));
+  }
+  
+  if (candidateSets.length === 0) {
+    return listQuizIndex(QUIZ_INDEX_ALL, env);
+  }
+  
+  // Intersect the candidate sets
+  const [first, ...rest] = candidateSets.map(summaries => new Map(summaries.map(summary => [summary.id, summary])));
+  return [...first.values()].filter(summary => rest.every(set => set.has(summary.id)));
+}
+
+/**
+ * List all quizzes (with optional filters)
+ */
+async function listQuizzes(filters, env) {
+  let quizzes = [];
+  
+  if (env?.QUIZ_KV) {
+    quizzes = await readQuizIndex(filters, env);
   } else {
-    for (const [id, quiz] of quizStore.entries()) {
-      quizzes.push({
-        id: quiz.id,
-        title: quiz.title,
-        subject: quiz.subject,
-        topic: quiz.topic,
-        difficulty: quiz.difficulty,
-        questionCount: quiz.questions?.length || 0,
-        author: quiz.author,
-        createdAt: quiz.createdAt,
-        tags: quiz.tags,
-      });
+    for (const quiz of quizStore.values()) {
+      quizzes.push(toQuizSummary(quiz));
     }
   }
   
@@ -360,6 +744,20 @@ async function listQuizzes(filters, env) {
       q.tags?.some(t => t.toLowerCase().includes(searchLower))
     );
   }
+  if (filters.difficulty?.length) {
+    quizzes = quizzes.filter(q => filters.difficulty.includes((q.difficulty || '').toLowerCase()));
+  }
+  if (filters.tags?.length) {
+    // Every requested tag must be present
+    quizzes = quizzes.filter(q => {
+      const tags = (q.tags || []).map(t => t.toLowerCase());
+      return filters.tags.every(t => tags.includes(t));
+    });
+  }
+  if (filters.author) {
+    const authorLower = filters.author.toLowerCase();
+    quizzes = quizzes.filter(q => (q.author || '').toLowerCase() === authorLower);
+  }
   
   // Sort by creation date (newest first)
   quizzes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -368,859 +766,6364 @@ async function listQuizzes(filters, env) {
 }
 
 /**
- * Delete quiz
+ * Value a quiz summary is ordered by for a given sort field
  */
-async function deleteQuiz(id, env) {
-  if (env?.QUIZ_KV) {
-    await env.QUIZ_KV.delete(`quiz:${id}`);
-  } else {
-    quizStore.delete(id);
+function quizSortValue(quiz, sort) {
+  switch (sort) {
+    case 'title':
+      return (quiz.title || '').toLowerCase();
+    case 'difficulty':
+      return DIFFICULTY_RANK[(quiz.difficulty || '').toLowerCase()] || 0;
+    case 'questionCount':
+      return quiz.questionCount || 0;
+    default:
+      return quiz[sort] ? new Date(quiz[sort]).getTime() : 0;
   }
 }
 
-// Allowed origins for auth code creation (security)
-const ALLOWED_AUTH_ORIGINS = [
-  'https://nagusamecs.github.io',
-  'https://opennotes.pages.dev',
-  'http://localhost:5173', // Dev mode
-  'tauri://localhost', // Tauri app
-];
-
-// Upstream API URL
-const UPSTREAM_API = 'https://open-notes.tebby2008-li.workers.dev';
-
-// Desktop app identifier for validation
-const DESKTOP_APP_SECRET = 'opennotes-desktop-v1';
-
-// CORS headers
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-App-Token, X-Desktop-App, X-Quiz-Token',
-  'Access-Control-Max-Age': '86400',
-};
-
-// Auth code store (in-memory, expires after 5 minutes)
-// In production, use Cloudflare KV for persistence across workers
-const authCodeStore = new Map();
-
-// Rate limiting store (per worker instance)
-const rateLimitStore = new Map();
+/**
+ * Sort and page quiz summaries. Cursors are keyset-based ([sortValue, id] of the
+ * last item returned), so pages stay stable when quizzes are added or removed.
+ */
+function paginateQuizzes(quizzes, { sort = 'createdAt', order = 'desc', limit = QUIZ_PAGE_DEFAULT, cursor = null }) {
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = ([aValue, aId], [bValue, bId]) => {
+    if (aValue < bValue) return -direction;
+    if (aValue > bValue) return direction;
+    return aId < bId ? -1 : aId > bId ? 1 : 0;
+  };
+  
+  const keyed = quizzes
+    .map(q => ({ key: [quizSortValue(q, sort), q.id], quiz: q }))
+    .sort((a, b) => compare(a.key, b.key));
+  
+  const start = cursor ? keyed.findIndex(entry => compare(entry.key, cursor) > 0) : 0;
+  const page = start === -1 ? [] : keyed.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < keyed.length;
+  const last = page[page.length - 1];
+  
+  return {
+    quizzes: page.map(entry => entry.quiz),
+    nextCursor: hasMore && last ? encodeCursor(last.key) : null,
+  };
+}
 
 /**
- * Generate a random 6-digit code
+ * Encode a value as an opaque, URL-safe list cursor (UTF-8 safe)
  */
-function generateAuthCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+function encodeCursor(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
 /**
- * Clean up expired auth codes
+ * Decode an opaque list cursor; returns null if it is malformed
  */
-function cleanupExpiredCodes() {
-  const now = Date.now();
-  for (const [code, data] of authCodeStore.entries()) {
-    if (now > data.expiresAt) {
-      authCodeStore.delete(code);
-    }
+function decodeCursor(cursor) {
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const value = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    return Array.isArray(value) && value.length === 2 ? value : null;
+  } catch (e) {
+    return null;
   }
 }
 
 /**
- * Validate app token against authorized tokens
+ * Delete quiz
  */
-function validateAppToken(token, env) {
-  if (!token) return { valid: false, app: null };
-  
-  try {
-    const tokens = JSON.parse(env.APP_TOKENS || '{}');
-    for (const [appId, config] of Object.entries(tokens)) {
-      if (config.token === token && config.active) {
-        return { valid: true, app: appId, config };
-      }
+async function deleteQuiz(id, env) {
+  const revisions = await listQuizRevisions(id, env);
+  if (env?.QUIZ_KV) {
+    await env.QUIZ_KV.delete(`quiz:${id}`);
+    for (const { revision } of revisions) {
+      await env.QUIZ_KV.delete(`quiz:${id}:v${revision}`);
+    }
+    await updateQuizIndex(id, null, env);
+  } else {
+    quizStore.delete(id);
+    for (const { revision } of revisions) {
+      quizRevisionStore.delete(`${id}:v${revision}`);
     }
-  } catch (e) {
-    console.error('Token validation error:', e);
   }
-  
-  return { valid: false, app: null };
 }
 
 /**
- * Check rate limit for an app
+ * Compare two quiz versions field by field and question by question
  */
-function checkRateLimit(appId, config) {
-  const now = Date.now();
-  const windowMs = 60000; // 1 minute window
-  const maxRequests = config?.rateLimit || 100;
+function diffQuizzes(from, to) {
+  const fields = [];
+  for (const field of ['title', 'subject', 'topic', 'difficulty', 'description', 'tags', 'author']) {
+    if (JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null)) {
+      fields.push({ field, from: from[field] ?? null, to: to[field] ?? null });
+    }
+  }
   
-  const key = `${appId}`;
-  const record = rateLimitStore.get(key) || { count: 0, resetAt: now + windowMs };
+  const fromQuestions = new Map((from.questions || []).map(q => [q.id, q]));
+  const toQuestions = new Map((to.questions || []).map(q => [q.id, q]));
+  const questions = { added: [], removed: [], changed: [] };
   
-  if (now > record.resetAt) {
-    record.count = 0;
-    record.resetAt = now + windowMs;
+  for (const [qid, q] of toQuestions) {
+    const before = fromQuestions.get(qid);
+    if (!before) {
+      questions.added.push(q);
+      continue;
+    }
+    const keys = new Set([...Object.keys(before), ...Object.keys(q)]);
+    const changed = [...keys].filter(k => JSON.stringify(before[k] ?? null) !== JSON.stringify(q[k] ?? null));
+    if (changed.length > 0) {
+      questions.changed.push({
+        id: qid,
+        fields: changed,
+        from: Object.fromEntries(changed.map(k => [k, before[k] ?? null])),
+        to: Object.fromEntries(changed.map(k => [k, q[k] ?? null])),
+      });
+    }
+  }
+  for (const [qid, q] of fromQuestions) {
+    if (!toQuestions.has(qid)) questions.removed.push(q);
   }
   
-  record.count++;
-  rateLimitStore.set(key, record);
-  
-  return {
-    allowed: record.count <= maxRequests,
-    remaining: Math.max(0, maxRequests - record.count),
-    resetAt: record.resetAt,
-  };
+  return { fields, questions };
 }
 
+// ==================== QUIZ GRADING ====================
+
+// Default relative tolerance when comparing numeric free-response answers
+const FRQ_NUMERIC_TOLERANCE = 0.001;
+
+// Fields that reveal answers and are stripped from student-mode quizzes
+const ANSWER_FIELDS = ['correctAnswers', 'correctAnswer', 'blanks', 'correctPairs', 'explanation'];
+
 /**
- * Generate secure response headers
+ * Normalize a free-text answer: case, LaTeX delimiters, whitespace and trailing punctuation
  */
-function securityHeaders() {
-  return {
-    'X-Content-Type-Options': 'nosniff',
-    'X-Frame-Options': 'DENY',
-    'X-XSS-Protection': '1; mode=block',
-    'Referrer-Policy': 'strict-origin-when-cross-origin',
-    'Content-Security-Policy': "default-src 'none'",
-  };
+function normalizeTextAnswer(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/\$/g, '')
+    .replace(/\\[,;! ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/[.,;:!?]+$/, '')
+    .trim();
 }
 
 /**
- * Handle OPTIONS preflight requests
+ * Parse a numeric answer such as "320 W", "1,500", "4/3", "3e8", "3×10^8" or "$3\times10^{8}$".
+ * Returns null when the answer is not numeric.
  */
-function handleOptions() {
-  return new Response(null, {
-    status: 204,
-    headers: corsHeaders,
-  });
+function parseNumericAnswer(value) {
+  const cleaned = String(value ?? '')
+    .replace(/[$\s]/g, '')
+    .replace(/(\d),(?=\d{3}(\D|$))/g, '$1')
+    .replace(/(?:\\times|×|\*|x)10\^\{?([-+]?\d+)\}?/i, 'e$1');
+  
+  const fraction = cleaned.match(/^([-+]?\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/);
+  if (fraction) {
+    const denominator = parseFloat(fraction[2]);
+    return denominator === 0 ? null : parseFloat(fraction[1]) / denominator;
+  }
+  
+  // Allow trailing units ("320W", "9.8m/s^2") after a leading number
+  const match = cleaned.match(/^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/i);
+  if (!match) return null;
+  const rest = cleaned.slice(match[0].length);
+  if (rest && !/^[a-zµΩ°%]/i.test(rest)) return null;
+  return parseFloat(match[0]);
 }
 
 /**
- * Proxy request to OpenNotes API
+ * Check a free-response answer against the accepted answers, numerically when both sides are numbers
  */
-async function proxyToOpenNotes(request, env, appId) {
-  const startTime = Date.now();
-  const url = new URL(request.url);
-  const targetUrl = new URL(OPENNOTES_API);
+function matchesFreeResponse(answer, accepted, tolerance) {
+  const text = normalizeTextAnswer(answer);
+  if (!text) return false;
+  const numeric = parseNumericAnswer(answer);
   
-  // Copy search params
-  url.searchParams.forEach((value, key) => {
-    targetUrl.searchParams.set(key, value);
-  });
-  
-  // Build proxy request
-  const proxyRequest = new Request(targetUrl.toString(), {
-    method: request.method,
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': env.OPENNOTES_API_KEY,
-      'Origin': 'https://opennotes.pages.dev',
-      'Referer': 'https://opennotes.pages.dev/',
-    },
+  return accepted.some(expected => {
+    if (normalizeTextAnswer(expected) === text) return true;
+    const expectedNumber = parseNumericAnswer(expected);
+    if (numeric === null || expectedNumber === null) return false;
+    const allowed = tolerance !== undefined && tolerance !== null
+      ? tolerance
+      : Math.abs(expectedNumber) * FRQ_NUMERIC_TOLERANCE;
+    return Math.abs(numeric - expectedNumber) <= Math.max(allowed, Number.EPSILON);
   });
-  
-  try {
-    const response = await fetch(proxyRequest);
-    const data = await response.text();
-    const duration = Date.now() - startTime;
-    
-    // Determine cache strategy based on request type
-    const isListRequest = url.searchParams.get('type') === 'list';
-    const cacheControl = request.method === 'GET' 
-      ? (isListRequest ? 'public, max-age=60, stale-while-revalidate=120' : 'public, max-age=300, stale-while-revalidate=600')
-      : 'no-store';
-    
-    return new Response(data, {
-      status: response.status,
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': cacheControl,
-        ...corsHeaders,
-        ...securityHeaders(),
-        'X-App-Id': appId,
-        'X-Response-Time': `${duration}ms`,
-        'X-Powered-By': 'OpenNotesAPI Gateway',
-      },
-    });
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    return new Response(JSON.stringify({ error: 'Upstream API error', message: 'The upstream service is temporarily unavailable' }), {
-      status: 502,
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': 'no-store',
-        ...corsHeaders,
-        ...securityHeaders(),
-        'X-Response-Time': `${duration}ms`,
-      },
-    });
+}
+
+/**
+ * Grade a single answer. Returns { correct, correctAnswer } where correctAnswer is display text.
+ */
+function gradeQuestion(question, answer) {
+  switch (question.type) {
+    case 'mcq': {
+      const selected = new Set((Array.isArray(answer) ? answer : [answer]).filter(a => a !== undefined && a !== null).map(Number));
+      const correctSet = new Set(question.correctAnswers);
+      return {
+        correct: selected.size === correctSet.size && [...selected].every(a => correctSet.has(a)),
+        correctAnswer: question.correctAnswers.map(i => question.options[i]).join(', '),
+      };
+    }
+    case 'tf': {
+      const value = typeof answer === 'string' ? answer.toLowerCase() === 'true' : answer;
+      return {
+        correct: answer !== undefined && answer !== null && value === question.correctAnswer,
+        correctAnswer: question.correctAnswer ? 'True' : 'False',
+      };
+    }
+    case 'fitb': {
+      const blanks = question.blanks || question.correctAnswers || [];
+      const given = Array.isArray(answer) ? answer : [answer];
+      return {
+        correct: blanks.every((expected, i) => matchesFreeResponse(given[i], [expected], question.tolerance)),
+        correctAnswer: blanks.join(', '),
+      };
+    }
+    case 'matching': {
+      const pairs = answer && typeof answer === 'object' ? answer : {};
+      const correctPairs = question.correctPairs || {};
+      return {
+        correct: Object.keys(correctPairs).every(l => Number(pairs[l]) === Number(correctPairs[l])),
+        correctAnswer: Object.entries(correctPairs)
+          .map(([l, r]) => `${question.leftItems?.[l]} → ${question.rightItems?.[r]}`)
+          .join(', '),
+      };
+    }
+    case 'frq':
+      return {
+        correct: matchesFreeResponse(answer, question.correctAnswers || [], question.tolerance),
+        correctAnswer: (question.correctAnswers || []).join(' / '),
+      };
+    default:
+      return { correct: false, correctAnswer: '' };
   }
 }
 
 /**
- * Handle API info endpoint
+ * Points a question is worth, as a number; quizzes stored before points were
+ * validated may hold strings or junk, which count as the default of 1
  */
-function handleApiInfo() {
-  return new Response(JSON.stringify({
-    name: 'OpenNotes API Gateway',
-    version: '1.2.0',
-    status: 'operational',
-    endpoints: {
-      '/': 'API info',
-      '/api/notes': 'List notes (requires X-App-Token)',
-      '/api/notes/:id': 'Get note by ID (requires X-App-Token)',
-      '/api/search': 'Search notes (requires X-App-Token)',
-      '/api/health': 'Health check',
-      '/auth/code': 'Create auth code (POST, from auth.html only)',
-      '/auth/exchange': 'Exchange code for token (GET, desktop app only)',
-      '/api/quizzes': 'List quizzes (GET), create quiz (POST)',
-      '/api/quizzes/:id': 'Get quiz (GET), update quiz (PUT), delete quiz (DELETE)',
-      '/api/quizzes/shuffle': 'POST - Combine and shuffle multiple quizzes',
-    },
-    quiz: {
-      description: 'Quiz API for creating and accessing IB study quizzes',
-      features: ['MCQ with multiple correct answers', 'FRQ with accepted answers', 'LaTeX support', 'Multi-quiz shuffle'],
-    },
-    documentation: 'https://nagusamecs.github.io/OpenNotesAPI/docs.html',
-  }), {
-    status: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      ...corsHeaders,
-      ...securityHeaders(),
-    },
-  });
+function questionPoints(question) {
+  const points = Number(question.points);
+  return Number.isFinite(points) && points > 0 ? points : 1;
 }
 
 /**
- * Handle health check
+ * Grade a full set of answers (keyed by question id) against a quiz
  */
-function handleHealth() {
-  return new Response(JSON.stringify({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: 'ok',
-    quizCount: quizStore.size,
-  }), {
-    status: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      'Cache-Control': 'no-cache',
-      ...corsHeaders,
-      ...securityHeaders(),
-    },
+function gradeQuiz(quiz, answers = {}) {
+  let score = 0;
+  let maxScore = 0;
+  let correctCount = 0;
+  
+  const results = quiz.questions.map(question => {
+    const points = questionPoints(question);
+    const answer = answers[question.id];
+    const answered = answer !== undefined && answer !== null && answer !== '' &&
+      !(Array.isArray(answer) && answer.length === 0);
+    const { correct, correctAnswer } = answered
+      ? gradeQuestion(question, answer)
+      : { correct: false, correctAnswer: gradeQuestion(question, null).correctAnswer };
+    
+    maxScore += points;
+    if (correct) {
+      score += points;
+      correctCount++;
+    }
+    
+    return {
+      id: question.id,
+      type: question.type,
+      answered,
+      correct,
+      points,
+      earned: correct ? points : 0,
+      answer: answered ? answer : null,
+      correctAnswer,
+      explanation: question.explanation || null,
+    };
   });
+  
+  return {
+    score,
+    maxScore,
+    percent: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0,
+    correctCount,
+    total: quiz.questions.length,
+    results,
+  };
 }
 
 /**
- * Proxy the upstream /auth/login endpoint.
- * Gets the Google OAuth URL from the upstream and redirects the user there
- * WITHOUT modifying the redirect_uri (since only the upstream's callback is
- * registered in Google's OAuth console).
+ * Remove answer keys from a quiz so it can be served to students
  */
-async function handleAuthLoginProxy(request) {
-  try {
-    const resp = await fetch(`${UPSTREAM_API}/auth/login`, {
-      method: 'GET',
-      headers: {
-        'Referer': 'https://opennotes.pages.dev/',
-        'User-Agent': request.headers.get('User-Agent') || 'Mozilla/5.0',
-      },
-      redirect: 'manual',
-    });
+function toStudentQuiz(quiz) {
+  return {
+    ...toPublicQuiz(quiz),
+    questions: quiz.questions.map(q => {
+      const studentQuestion = { ...q };
+      ANSWER_FIELDS.forEach(field => delete studentQuestion[field]);
+      if (q.type === 'mcq') studentQuestion.multipleAnswers = (q.correctAnswers || []).length > 1;
+      if (q.type === 'fitb') studentQuestion.blankCount = (q.blanks || q.correctAnswers || []).length;
+      return studentQuestion;
+    }),
+    studentMode: true,
+  };
+}
 
-    if (resp.status === 302 || resp.status === 301) {
-      const location = resp.headers.get('Location');
-      // Pass the Google OAuth URL through unchanged
-      return new Response(null, {
-        status: 302,
-        headers: { 'Location': location, ...corsHeaders },
-      });
-    }
+// ==================== QUIZ ATTEMPTS ====================
+// History belongs to a signed-in user (X-Auth-Token). App and admin tokens
+// identify a client or the operator rather than a person, so all of an app's
+// users would share one history; their attempts are graded but not saved.
 
-    return new Response(resp.body, {
-      status: resp.status,
-      headers: { 'Content-Type': resp.headers.get('Content-Type') || 'text/plain', ...corsHeaders },
-    });
-  } catch (e) {
-    return new Response(JSON.stringify({ error: 'Auth proxy failed', message: e.message }), {
-      status: 502,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
-  }
+/**
+ * Unique id for a graded attempt (random suffix, so attempts submitted in the
+ * same millisecond don't overwrite each other)
+ */
+function generateAttemptId(quizId, now) {
+  const suffix = [...crypto.getRandomValues(new Uint8Array(4))].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${quizId}-${now.toString(36)}-${suffix}`;
 }
 
 /**
- * Handle the OAuth callback — no longer used since we don't rewrite redirect_uri.
- * Kept as a fallback that just returns helpful info.
+ * History owner for a caller, or null when the caller isn't a signed-in user
  */
-async function handleAuthCallback(request) {
-  return new Response(JSON.stringify({
-    error: 'This endpoint is not used directly.',
-    message: 'OAuth callback is handled by the upstream at open-notes.tebby2008-li.workers.dev/auth/callback',
-  }), {
-    status: 200,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders },
-  });
+async function getAttemptOwner(auth) {
+  return auth.valid && auth.role === 'user' ? getQuizOwner(auth) : null;
 }
 
 /**
- * Create an auth code for a token (called from auth.html)
+ * Persist a graded attempt for its owner. The summary is stored as KV metadata
+ * so listings and stats never need to read the full attempt bodies.
  */
-async function handleCreateAuthCode(request) {
-  // Validate origin
-  const origin = request.headers.get('Origin') || '';
-  const referer = request.headers.get('Referer') || '';
-  
-  const isAllowed = ALLOWED_AUTH_ORIGINS.some(allowed => 
-    origin.startsWith(allowed) || referer.startsWith(allowed)
-  );
-  
-  if (!isAllowed) {
-    return new Response(JSON.stringify({
-      error: 'Forbidden',
-      message: 'This endpoint is only accessible from the OpenNotes auth page',
-    }), {
-      status: 403,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
-  }
+async function saveAttempt(owner, attempt, env) {
+  const key = `attempt:${owner}:${attempt.quizId}:${attempt.id}`;
+  const summary = {
+    id: attempt.id,
+    quizId: attempt.quizId,
+    subject: (attempt.subject || '').slice(0, 100),
+    topic: (attempt.topic || '').slice(0, 100),
+    score: attempt.score,
+    maxScore: attempt.maxScore,
+    percent: attempt.percent,
+    correctCount: attempt.correctCount,
+    total: attempt.total,
+    timeTaken: attempt.timeTaken,
+    submittedAt: attempt.submittedAt,
+  };
   
-  try {
-    const body = await request.json();
-    const { token, user } = body;
-    
-    if (!token) {
-      return new Response(JSON.stringify({ error: 'Token is required' }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-      });
-    }
-    
-    // Clean up expired codes
-    cleanupExpiredCodes();
-    
-    // Generate unique 6-digit code
-    let code;
-    do {
-      code = generateAuthCode();
-    } while (authCodeStore.has(code));
-    
-    // Store with 5 minute expiry
-    authCodeStore.set(code, {
-      token,
-      user: user || null,
-      expiresAt: Date.now() + 5 * 60 * 1000,
-      used: false,
-    });
-    
-    return new Response(JSON.stringify({
-      code,
-      expiresIn: 300, // 5 minutes
-    }), {
-      status: 200,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
-  } catch (e) {
-    return new Response(JSON.stringify({ error: 'Invalid request body' }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
+  if (env?.QUIZ_KV) {
+    await env.QUIZ_KV.put(key, JSON.stringify(attempt), { metadata: summary });
+  } else {
+    attemptStore.set(key, { attempt, summary });
   }
 }
 
 /**
- * Exchange auth code for token (called from desktop app)
+ * List attempt summaries for an owner (optionally for one quiz), newest first
  */
-function handleExchangeCode(request) {
-  const url = new URL(request.url);
-  const code = url.searchParams.get('code');
-  const appSecret = request.headers.get('X-Desktop-App');
+async function listAttempts(owner, quizId, env) {
+  const prefix = quizId ? `attempt:${owner}:${quizId}:` : `attempt:${owner}:`;
+  const summaries = [];
   
-  // Validate desktop app header
-  if (appSecret !== DESKTOP_APP_SECRET) {
-    return new Response(JSON.stringify({
-      error: 'Forbidden',
-      message: 'This endpoint is only accessible from the OpenNotes Desktop app',
-    }), {
-      status: 403,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
+  if (env?.QUIZ_KV) {
+    let cursor;
+    do {
+      const list = await env.QUIZ_KV.list({ prefix, cursor });
+      for (const key of list.keys) {
+        if (key.metadata) summaries.push(key.metadata);
+      }
+      cursor = list.list_complete ? null : list.cursor;
+    } while (cursor);
+  } else {
+    for (const [key, entry] of attemptStore.entries()) {
+      if (key.startsWith(prefix)) summaries.push(entry.summary);
+    }
   }
   
-  if (!code || code.length !== 6) {
-    return new Response(JSON.stringify({ error: 'Valid 6-digit code is required' }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
+  return summaries.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+}
+
+/**
+ * Best/average score and time for a set of attempt summaries
+ */
+function summarizeAttempts(attempts) {
+  if (attempts.length === 0) {
+    return { attempts: 0, bestPercent: null, averagePercent: null, averageTime: null, lastAttemptAt: null };
   }
-  
-  // Clean up expired codes
-  cleanupExpiredCodes();
-  
-  const data = authCodeStore.get(code);
-  
-  if (!data) {
-    return new Response(JSON.stringify({ error: 'Invalid or expired code' }), {
-      status: 404,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
+  const timed = attempts.filter(a => Number.isFinite(a.timeTaken));
+  return {
+    attempts: attempts.length,
+    bestPercent: Math.max(...attempts.map(a => a.percent)),
+    averagePercent: Math.round(attempts.reduce((sum, a) => sum + a.percent, 0) / attempts.length),
+    averageTime: timed.length ? Math.round(timed.reduce((sum, a) => sum + a.timeTaken, 0) / timed.length) : null,
+    lastAttemptAt: attempts.reduce((latest, a) => (a.submittedAt > latest ? a.submittedAt : latest), attempts[0].submittedAt),
+  };
+}
+
+/**
+ * Start of the day or ISO week (Monday) containing a timestamp, as YYYY-MM-DD
+ */
+function periodStart(timestamp, bucket) {
+  const date = new Date(timestamp);
+  date.setUTCHours(0, 0, 0, 0);
+  if (bucket === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
   }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Per-topic accuracy with a timeline bucketed by day or week
+ */
+function topicAccuracy(attempts, bucket) {
+  const topics = new Map();
   
-  if (data.used) {
-    return new Response(JSON.stringify({ error: 'Code already used' }), {
-      status: 410,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
+  for (const attempt of attempts) {
+    const name = attempt.topic || attempt.subject || 'General';
+    if (!topics.has(name)) {
+      topics.set(name, { topic: name, subject: attempt.subject || null, correct: 0, total: 0, periods: new Map() });
+    }
+    const topic = topics.get(name);
+    topic.correct += attempt.correctCount;
+    topic.total += attempt.total;
+    
+    const period = periodStart(attempt.submittedAt, bucket);
+    const entry = topic.periods.get(period) || { period, correct: 0, total: 0 };
+    entry.correct += attempt.correctCount;
+    entry.total += attempt.total;
+    topic.periods.set(period, entry);
   }
   
-  // Mark as used and delete after successful exchange
-  data.used = true;
-  authCodeStore.delete(code);
-  
-  return new Response(JSON.stringify({
-    token: data.token,
-    user: data.user,
-  }), {
-    status: 200,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders },
-  });
+  const accuracy = (correct, total) => (total > 0 ? Math.round((correct / total) * 100) : null);
+  return [...topics.values()].map(({ periods, ...topic }) => ({
+    ...topic,
+    accuracy: accuracy(topic.correct, topic.total),
+    timeline: [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(p => ({ ...p, accuracy: accuracy(p.correct, p.total) })),
+  })).sort((a, b) => a.topic.localeCompare(b.topic));
 }
 
-// ==================== QUIZ HANDLERS ====================
+// ==================== QUIZ IMPORT ====================
+// Question banks from spreadsheets (CSV), Moodle (GIFT) and IMS QTI 2.1 are
+// converted to the quiz schema. Every converted question goes through the
+// same validateQuestion checks as POST /api/quizzes, and problems are reported
+// per question with the line or item they came from. Text inside $...$ or
+// $$...$$ is LaTeX and is copied through untouched, so GIFT special
+// characters don't need escaping there.
+
+const QUIZ_IMPORT_FORMATS = ['csv', 'gift', 'qti'];
+const QUIZ_IMPORT_MAX_BYTES = 1024 * 1024;
+const QUIZ_IMPORT_MAX_QUESTIONS = 500;
+
+// CSV `type` column values, after lowercasing and dropping non-letters
+const CSV_TYPE_ALIASES = {
+  mcq: 'mcq', mc: 'mcq', multiplechoice: 'mcq', choice: 'mcq',
+  tf: 'tf', truefalse: 'tf', boolean: 'tf',
+  fitb: 'fitb', fillintheblank: 'fitb', fillblank: 'fitb', blank: 'fitb', cloze: 'fitb',
+  matching: 'matching', match: 'matching',
+  frq: 'frq', shortanswer: 'frq', freeresponse: 'frq', numerical: 'frq', numeric: 'frq',
+};
+
+// CSV header aliases, after lowercasing and dropping non-alphanumerics
+const CSV_COLUMN_ALIASES = {
+  type: 'type', questiontype: 'type',
+  question: 'question', questiontext: 'question', prompt: 'question', text: 'question',
+  options: 'options', choices: 'options',
+  answer: 'answer', answers: 'answer', correct: 'answer', correctanswer: 'answer', correctanswers: 'answer',
+  explanation: 'explanation', feedback: 'explanation',
+  hint: 'hint',
+  points: 'points', marks: 'points',
+  tolerance: 'tolerance',
+  svg: 'svg', diagram: 'svg',
+};
 
 /**
- * Validate quiz token for creating/modifying quizzes
+ * Split text into literal and $...$ / $$...$$ math segments
  */
-function validateQuizToken(request, env) {
-  const token = request.headers.get('X-Quiz-Token') || request.headers.get('Authorization')?.replace('Bearer ', '');
-  const authToken = request.headers.get('X-Auth-Token'); // User auth token
-  
-  // Admin token has full access
-  if (token === env.ADMIN_TOKEN) {
-    return { valid: true, role: 'admin' };
-  }
-  
-  // Authenticated users can create quizzes
-  if (authToken) {
-    return { valid: true, role: 'user', token: authToken };
+function splitMathSegments(text) {
+  const segments = [];
+  let literal = '';
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === '\\' && text[i + 1] === '$') {
+      literal += '\\$';
+      i += 2;
+      continue;
+    }
+    if (text[i] === '$') {
+      const delimiter = text[i + 1] === '$' ? '$$' : '$';
+      const end = text.indexOf(delimiter, i + delimiter.length);
+      if (end > i + delimiter.length) {
+        if (literal) segments.push({ math: false, text: literal });
+        segments.push({ math: true, text: text.slice(i, end + delimiter.length) });
+        literal = '';
+        i = end + delimiter.length;
+        continue;
+      }
+    }
+    literal += text[i];
+    i++;
   }
-  
-  // Check app tokens for API access
-  const appToken = request.headers.get('X-App-Token');
-  if (appToken) {
-    const validation = validateAppToken(appToken, env);
-    if (validation.valid) {
-      return { valid: true, role: 'app', app: validation.app };
+  if (literal) segments.push({ math: false, text: literal });
+  return segments;
+}
+
+/**
+ * Split on a separator, but not inside math
+ */
+function splitOutsideMath(text, separator) {
+  const parts = [''];
+  for (const segment of splitMathSegments(text)) {
+    if (segment.math) {
+      parts[parts.length - 1] += segment.text;
+      continue;
     }
+    const pieces = segment.text.split(separator);
+    parts[parts.length - 1] += pieces[0];
+    parts.push(...pieces.slice(1));
   }
-  
-  return { valid: false };
+  return parts;
 }
 
 /**
- * Handle GET /api/quizzes - List all quizzes
+ * Apply a transform to the text outside math only
  */
-async function handleListQuizzes(request, env) {
-  const url = new URL(request.url);
-  const filters = {
-    subject: url.searchParams.get('subject'),
-    topic: url.searchParams.get('topic'),
-    search: url.searchParams.get('q') || url.searchParams.get('search'),
-  };
-  
-  const quizzes = await listQuizzes(filters, env);
-  
-  return new Response(JSON.stringify({
-    quizzes,
-    total: quizzes.length,
-    filters: Object.fromEntries(Object.entries(filters).filter(([k, v]) => v)),
-  }), {
-    status: 200,
-    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=30, stale-while-revalidate=60', ...corsHeaders, ...securityHeaders() },
-  });
+function mapOutsideMath(text, transform) {
+  return splitMathSegments(text).map(segment => (segment.math ? segment.text : transform(segment.text))).join('');
 }
 
 /**
- * Handle POST /api/quizzes - Create a new quiz
+ * Clean up an imported text field: trim lines and drop runs of blank lines
  */
-async function handleCreateQuiz(request, env) {
-  const auth = validateQuizToken(request, env);
-  if (!auth.valid) {
-    return new Response(JSON.stringify({
-      error: 'Unauthorized',
-      message: 'Authentication required to create quizzes',
-    }), {
-      status: 401,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
-  }
-  
-  try {
-    const body = await request.json();
-    const validation = validateQuiz(body);
-    
-    if (!validation.valid) {
-      return new Response(JSON.stringify({
-        error: 'Validation failed',
-        errors: validation.errors,
-      }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-      });
-    }
-    
-    const quizId = generateQuizId();
-    const quiz = {
-      id: quizId,
-      schemaVersion: QUIZ_SCHEMA_VERSION,
-      title: body.title,
-      subject: body.subject,
-      topic: body.topic || null,
-      difficulty: body.difficulty || 'medium',
-      description: body.description || '',
-      tags: body.tags || [],
-      questions: body.questions.map((q, i) => ({
-        id: `q${i + 1}`,
-        type: q.type,
-        question: q.question,
-        options: q.options || null,
-        correctAnswers: q.correctAnswers,
-        explanation: q.explanation || null,
-        points: q.points || 1,
-        hint: q.hint || null,
-      })),
-      author: body.author || (auth.role === 'user' ? 'Authenticated User' : auth.app || 'Anonymous'),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-    
-    await saveQuiz(quizId, quiz, env);
-    
-    return new Response(JSON.stringify({
-      success: true,
-      quiz: {
-        id: quiz.id,
-        title: quiz.title,
-        questionCount: quiz.questions.length,
-      },
-    }), {
-      status: 201,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
-  } catch (e) {
-    return new Response(JSON.stringify({
-      error: 'Invalid request',
-      message: e.message,
-    }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
-  }
+function cleanImportText(text) {
+  return String(text ?? '')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
 }
 
 /**
- * Handle GET /api/quizzes/:id - Get a specific quiz
+ * Common optional fields of an imported question
  */
-async function handleGetQuiz(id, env) {
-  const quiz = await getQuiz(id, env);
-  
-  if (!quiz) {
-    return new Response(JSON.stringify({ error: 'Quiz not found' }), {
-      status: 404,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
+function importQuestionExtras({ explanation, hint, points, tolerance, svg }) {
+  const extras = {};
+  if (explanation) extras.explanation = cleanImportText(explanation);
+  if (hint) extras.hint = cleanImportText(hint);
+  if (points !== undefined && points !== '') extras.points = Number(points);
+  if (tolerance !== undefined && tolerance !== '' && tolerance !== null) extras.tolerance = Number(tolerance);
+  if (svg) extras.svg = svg.trim();
+  return extras;
+}
+
+// ---------- CSV ----------
+
+/**
+ * Parse RFC 4180 CSV into records, each with the line it starts on.
+ * The delimiter (comma, semicolon or tab) is taken from the header line.
+ */
+function parseCsv(text) {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best), ',');
+
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim())) records.push({ line: recordLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
   }
-  
-  return new Response(JSON.stringify(quiz), {
-    status: 200,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders, ...securityHeaders() },
-  });
+  endRecord();
+  return records;
 }
 
 /**
- * Handle DELETE /api/quizzes/:id - Delete a quiz
+ * Resolve a CSV MCQ answer (letters, 1-based numbers or option text) to option indexes
  */
-async function handleDeleteQuiz(id, request, env) {
-  const auth = validateQuizToken(request, env);
-  if (!auth.valid || auth.role !== 'admin') {
-    return new Response(JSON.stringify({
-      error: 'Forbidden',
-      message: 'Admin access required to delete quizzes',
-    }), {
-      status: 403,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
+function csvChoiceIndexes(answer, options) {
+  let tokens = splitOutsideMath(answer, '|').map(token => token.trim()).filter(Boolean);
+  // "A, C" or "1,3" lists several answers in one cell
+  if (tokens.length === 1 && /^([A-Za-z]|\d+)(\s*,\s*([A-Za-z]|\d+))+$/.test(tokens[0])) {
+    tokens = tokens[0].split(',').map(token => token.trim());
   }
-  
-  const quiz = await getQuiz(id, env);
-  if (!quiz) {
-    return new Response(JSON.stringify({ error: 'Quiz not found' }), {
-      status: 404,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
+
+  const indexes = [];
+  const unknown = [];
+  for (const token of tokens) {
+    // Option text wins over letters and numbers, so options like "2" and "4" still work
+    let index = options.findIndex(option => option.trim().toLowerCase() === token.toLowerCase());
+    if (index === -1 && /^[A-Za-z]$/.test(token)) index = token.toUpperCase().charCodeAt(0) - 65;
+    if (index === -1 && /^\d+$/.test(token)) index = Number(token) - 1;
+    if (index >= 0 && index < options.length) indexes.push(index);
+    else unknown.push(token);
   }
-  
-  await deleteQuiz(id, env);
-  
-  return new Response(JSON.stringify({ success: true, deleted: id }), {
-    status: 200,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders },
-  });
+  return { indexes: [...new Set(indexes)], unknown };
 }
 
 /**
- * Handle POST /api/quizzes/shuffle - Combine and shuffle multiple quizzes
+ * Parse a true/false answer cell; null when it is neither
  */
-async function handleShuffleQuizzes(request, env) {
-  try {
-    const body = await request.json();
-    const { quizIds, questionCount, shuffle = true } = body;
-    
-    if (!quizIds || !Array.isArray(quizIds) || quizIds.length === 0) {
-      return new Response(JSON.stringify({
-        error: 'quizIds array is required',
-      }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-      });
-    }
-    
-    // Fetch all requested quizzes
-    const quizzes = [];
-    const notFound = [];
-    
-    for (const id of quizIds) {
-      const quiz = await getQuiz(id, env);
-      if (quiz) {
-        quizzes.push(quiz);
-      } else {
-        notFound.push(id);
-      }
+function parseBooleanAnswer(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['true', 't', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'f', 'no', 'n', '0'].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Build matching items from "left -> right" pairs
+ */
+function matchingFromPairs(pairs) {
+  const leftItems = [];
+  const rightItems = [];
+  const correctPairs = {};
+  for (const [left, right] of pairs) {
+    let r = rightItems.indexOf(right);
+    if (r === -1) r = rightItems.push(right) - 1;
+    // A pair without a left side is a distractor on the right
+    if (left) {
+      correctPairs[leftItems.length] = r;
+      leftItems.push(left);
     }
-    
-    if (notFound.length > 0) {
-      return new Response(JSON.stringify({
-        error: 'Some quizzes not found',
-        notFound,
-      }), {
-        status: 404,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-      });
+  }
+  return { leftItems, rightItems, correctPairs };
+}
+
+/**
+ * Convert CSV rows (one question per row, with a header row) to questions.
+ * Columns: type, question, options or option1..optionN, answer, explanation, hint, points, tolerance, svg
+ */
+function convertCsvQuiz(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { title: null, items: [], errors: ['The CSV file is empty'] };
+
+  const columns = header.fields.map(name => {
+    const key = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (CSV_COLUMN_ALIASES[key]) return CSV_COLUMN_ALIASES[key];
+    const option = key.match(/^(?:option|choice)(\d+)$/);
+    return option ? `option:${option[1]}` : null;
+  });
+  if (!columns.includes('question')) {
+    return { title: null, items: [], errors: ['The CSV header must have a "question" column'] };
+  }
+
+  const items = rows.map(({ line, fields }) => {
+    const row = {};
+    const numberedOptions = [];
+    columns.forEach((column, c) => {
+      const value = fields[c] ?? '';
+      if (column?.startsWith('option:')) numberedOptions.push([Number(column.slice(7)), value]);
+      else if (column) row[column] = value;
+    });
+
+    const errors = [];
+    const warnings = [];
+    const question = cleanImportText(row.question);
+    const answer = (row.answer || '').trim();
+    const options = numberedOptions.length
+      ? numberedOptions.sort((a, b) => a[0] - b[0]).map(([, value]) => value.trim()).filter(Boolean)
+      : splitOutsideMath(row.options || '', '|').map(option => option.trim()).filter(Boolean);
+
+    let type = CSV_TYPE_ALIASES[(row.type || '').toLowerCase().replace(/[^a-z]/g, '')];
+    if (row.type?.trim() && !type) {
+      errors.push(`Unknown question type "${row.type.trim()}"`);
+    } else if (!type) {
+      // No type column: guess from what the row has
+      if (options.length) type = 'mcq';
+      else if (question.includes('___')) type = 'fitb';
+      else if (splitOutsideMath(answer, '->').length > 1) type = 'matching';
+      else if (parseBooleanAnswer(answer) !== null && !/^\d+$/.test(answer)) type = 'tf';
+      else type = 'frq';
     }
-    
-    // Combine all questions
-    let allQuestions = [];
-    for (const quiz of quizzes) {
-      allQuestions.push(...quiz.questions.map(q => ({
-        ...q,
-        sourceQuiz: quiz.id,
-        sourceTitle: quiz.title,
-      })));
+
+    const result = { type, question, ...importQuestionExtras(row) };
+    if (type === 'mcq') {
+      const { indexes, unknown } = csvChoiceIndexes(answer, options);
+      unknown.forEach(token => errors.push(`Answer "${token}" does not match any option`));
+      Object.assign(result, { options, correctAnswers: indexes });
+    } else if (type === 'tf') {
+      result.correctAnswer = parseBooleanAnswer(answer);
+      if (result.correctAnswer === null) errors.push(`Answer "${answer}" is not true or false`);
+    } else if (type === 'fitb') {
+      result.blanks = splitOutsideMath(answer, '|').map(blank => blank.trim());
+    } else if (type === 'matching') {
+      const pairs = splitOutsideMath(answer, '|').map(pair => splitOutsideMath(pair, '->').map(side => side.trim()));
+      if (pairs.some(pair => pair.length !== 2)) errors.push('Matching answers must be "left -> right" pairs separated by |');
+      Object.assign(result, matchingFromPairs(pairs.filter(pair => pair.length === 2)));
+    } else if (type) {
+      result.correctAnswers = splitOutsideMath(answer, '|').map(accepted => accepted.trim()).filter(Boolean);
     }
-    
-    // Shuffle if requested
-    if (shuffle) {
-      for (let i = allQuestions.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [allQuestions[i], allQuestions[j]] = [allQuestions[j], allQuestions[i]];
+
+    return { source: `line ${line}`, question: type ? result : null, errors, warnings };
+  });
+
+  return { title: null, items, errors: [] };
+}
+
+// ---------- GIFT ----------
+
+/**
+ * Remove GIFT escapes (\~ \= \# \{ \} \: and \n) outside math
+ */
+function unescapeGift(text) {
+  return mapOutsideMath(text, part => part.replace(/\\n/g, '\n').replace(/\\([~=#{}:\\$])/g, '$1'));
+}
+
+/**
+ * Index of the first unescaped occurrence of any of the characters outside math, or -1
+ */
+function findGiftSpecial(text, chars, from = 0) {
+  let offset = 0;
+  for (const segment of splitMathSegments(text)) {
+    const start = offset;
+    offset += segment.text.length;
+    if (segment.math || offset <= from) continue;
+    for (let i = Math.max(from - start, 0); i < segment.text.length; i++) {
+      if (segment.text[i] === '\\') {
+        i++;
+        continue;
       }
+      if (chars.includes(segment.text[i])) return start + i;
     }
-    
-    // Limit question count if specified
-    if (questionCount && questionCount < allQuestions.length) {
-      allQuestions = allQuestions.slice(0, questionCount);
-    }
-    
-    // Generate combined quiz
-    const combined = {
-      id: 'combined-' + Date.now(),
-      title: `Combined Quiz (${quizzes.map(q => q.title).join(', ')})`,
-      subject: [...new Set(quizzes.map(q => q.subject))].join(', '),
-      description: `Combined from ${quizzes.length} quizzes`,
-      questions: allQuestions.map((q, i) => ({ ...q, id: `cq${i + 1}` })),
-      sourceQuizzes: quizIds,
-      createdAt: new Date().toISOString(),
-      isTemporary: true,
-    };
-    
-    return new Response(JSON.stringify(combined), {
-      status: 200,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders, ...securityHeaders() },
-    });
-  } catch (e) {
-    return new Response(JSON.stringify({
-      error: 'Invalid request',
-      message: e.message,
-    }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  }
+  return -1;
+}
+
+/**
+ * Split a GIFT answer block into { marker, text, weight, feedback } entries
+ */
+function splitGiftAnswers(body) {
+  const entries = [];
+  let index = findGiftSpecial(body, '=~');
+  while (index !== -1) {
+    const next = findGiftSpecial(body, '=~', index + 1);
+    const raw = body.slice(index + 1, next === -1 ? body.length : next);
+    const feedbackAt = findGiftSpecial(raw, '#');
+    let text = feedbackAt === -1 ? raw : raw.slice(0, feedbackAt);
+    const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) text = text.slice(weightMatch[0].length);
+    entries.push({
+      marker: body[index],
+      text: text.trim(),
+      weight: weightMatch ? Number(weightMatch[1]) : null,
+      feedback: feedbackAt === -1 ? '' : unescapeGift(raw.slice(feedbackAt + 1)).trim(),
     });
+    index = next;
   }
+  return entries;
 }
 
 /**
- * Main request handler
+ * Parse a GIFT numeric answer ("5", "5:0.1" or "4..6") into a value and tolerance
  */
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    
-    // Seed built-in quizzes on first request
-    await seedQuizzes(env);
-    
-    // Handle CORS preflight
-    if (request.method === 'OPTIONS') {
-      return handleOptions();
-    }
-    
-    // Public endpoints
-    if ((path === '/' || path === '') && !url.searchParams.has('type')) {
-      return handleApiInfo();
-    }
-    
-    // Root path with ?type= query params — proxy directly to upstream (Tauri app sends requests this way)
-    if ((path === '/' || path === '') && url.searchParams.has('type')) {
-      return proxyToOpenNotes(request, env, 'desktop-app');
-    }
-    
-    if (path === '/api/health' || path === '/health') {
-      return handleHealth();
-    }
-    
-    // Auth login proxy - proxies upstream auth/login with correct Referer
-    if (path === '/auth/login' && request.method === 'GET') {
-      return handleAuthLoginProxy(request);
-    }
-    
-    // Auth callback - intercepts upstream OAuth callback, extracts token, redirects to auth.html
-    if (path === '/auth/callback' && request.method === 'GET') {
-      return handleAuthCallback(request);
+function parseGiftNumber(text) {
+  const range = text.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    return { value: String((min + max) / 2), tolerance: Math.abs(max - min) / 2 };
+  }
+  const [value, tolerance] = text.split(':').map(part => part.trim());
+  if (value === '' || Number.isNaN(Number(value))) return null;
+  return { value, tolerance: tolerance ? Number(tolerance) : 0 };
+}
+
+/**
+ * Convert the answer block of one GIFT question
+ */
+function convertGiftAnswers(body, stem, missingWord, errors, warnings) {
+  let generalAt = findGiftSpecial(body, '#');
+  while (generalAt !== -1 && !body.startsWith('####', generalAt)) generalAt = findGiftSpecial(body, '#', generalAt + 1);
+  const generalFeedback = generalAt === -1 ? '' : unescapeGift(body.slice(generalAt + 4)).trim();
+  const answers = (generalAt === -1 ? body : body.slice(0, generalAt)).trim();
+  const question = { question: stem };
+  const explain = feedback => generalFeedback || feedback || undefined;
+
+  if (!answers) {
+    errors.push('Essay questions have no answer to grade');
+    return null;
+  }
+
+  const booleanMatch = answers.match(/^(TRUE|FALSE|T|F)\b([\s\S]*)$/i);
+  if (booleanMatch) {
+    const feedback = booleanMatch[2].split('#').map(part => unescapeGift(part).trim()).filter(Boolean);
+    return {
+      ...question,
+      type: 'tf',
+      correctAnswer: booleanMatch[1].toUpperCase().startsWith('T'),
+      ...importQuestionExtras({ explanation: explain(feedback[0]) }),
+    };
+  }
+
+  if (answers.startsWith('#')) {
+    const numeric = answers.slice(1).trim();
+    const entries = /^[=~]/.test(numeric) ? splitGiftAnswers(numeric) : [{ marker: '=', text: numeric, weight: null, feedback: '' }];
+    const accepted = entries
+      .filter(entry => entry.marker === '=' && (entry.weight === null || entry.weight > 0))
+      .map(entry => ({ ...parseGiftNumber(entry.text), feedback: entry.feedback, text: entry.text }));
+    const invalid = accepted.filter(entry => entry.value === undefined);
+    invalid.forEach(entry => errors.push(`"${entry.text}" is not a number`));
+    const numbers = accepted.filter(entry => entry.value !== undefined);
+    const tolerance = Math.max(0, ...numbers.map(entry => entry.tolerance));
+    if (new Set(numbers.map(entry => entry.tolerance)).size > 1) {
+      warnings.push(`The answers have different tolerances; ±${tolerance} is used for all of them`);
     }
-    
-    // Auth code endpoints (for desktop app authentication)
-    if (path === '/auth/code' && request.method === 'POST') {
-      return handleCreateAuthCode(request);
+    return {
+      ...question,
+      type: 'frq',
+      correctAnswers: numbers.map(entry => entry.value),
+      ...importQuestionExtras({ explanation: explain(numbers[0]?.feedback), tolerance }),
+    };
+  }
+
+  const entries = splitGiftAnswers(answers);
+  if (entries.length === 0) {
+    errors.push('The answer block has no = or ~ answers');
+    return null;
+  }
+
+  const isMatching = entries.every(entry => entry.marker === '=') &&
+    entries.some(entry => splitOutsideMath(entry.text, '->').length > 1);
+  if (isMatching) {
+    const pairs = entries.map(entry => splitOutsideMath(entry.text, '->').map(side => unescapeGift(side).trim()));
+    if (pairs.some(pair => pair.length !== 2)) errors.push('Every matching answer needs the form "=left -> right"');
+    return {
+      ...question,
+      type: 'matching',
+      ...matchingFromPairs(pairs.filter(pair => pair.length === 2)),
+      ...importQuestionExtras({ explanation: explain() }),
+    };
+  }
+
+  const correct = entry => (entry.weight !== null ? entry.weight > 0 : entry.marker === '=');
+  if (entries.some(entry => entry.marker === '~')) {
+    if (entries.some(entry => entry.weight !== null && entry.weight > 0 && entry.weight < 100)) {
+      warnings.push('Partial-credit weights were converted to all-or-nothing correct answers');
     }
-    
-    if (path === '/auth/exchange' && request.method === 'GET') {
-      return handleExchangeCode(request);
+    return {
+      ...question,
+      type: 'mcq',
+      options: entries.map(entry => unescapeGift(entry.text)),
+      correctAnswers: entries.flatMap((entry, index) => (correct(entry) ? [index] : [])),
+      ...importQuestionExtras({ explanation: explain(entries.find(correct)?.feedback) }),
+    };
+  }
+
+  const accepted = entries.filter(correct).map(entry => unescapeGift(entry.text));
+  if (missingWord) {
+    if (accepted.length > 1) warnings.push(`Only the first accepted answer ("${accepted[0]}") is kept for the blank`);
+    return {
+      ...question,
+      type: 'fitb',
+      blanks: accepted.slice(0, 1),
+      ...importQuestionExtras({ explanation: explain(entries[0].feedback) }),
+    };
+  }
+  return {
+    ...question,
+    type: 'frq',
+    correctAnswers: accepted,
+    ...importQuestionExtras({ explanation: explain(entries[0].feedback) }),
+  };
+}
+
+/**
+ * Convert Moodle GIFT text to questions. Questions are separated by blank lines.
+ */
+function convertGiftQuiz(text) {
+  const blocks = [];
+  let current = null;
+  text.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.replace(/\r$/, '');
+    if (/^\s*\/\//.test(line) || /^\s*\$CATEGORY:/i.test(line)) return;
+    if (!line.trim()) {
+      // A blank line ends a question, unless its answer block is still open
+      if (current && findGiftSpecial(current.text, '{') !== -1 && findGiftSpecial(current.text, '}') === -1) {
+        current.text += '\n';
+      } else {
+        current = null;
+      }
+      return;
     }
-    
-    // ==================== QUIZ ROUTES ====================
-    // Quiz routes are public for reading, auth required for writing
-    
-    // POST /api/quizzes/shuffle - Combine and shuffle quizzes (public)
-    if (path === '/api/quizzes/shuffle' && request.method === 'POST') {
-      return handleShuffleQuizzes(request, env);
+    if (!current) {
+      current = { line: index + 1, text: '' };
+      blocks.push(current);
     }
-    
-    // GET /api/quizzes - List all quizzes (public)
-    if (path === '/api/quizzes' && request.method === 'GET') {
-      return handleListQuizzes(request, env);
+    current.text += (current.text ? '\n' : '') + line;
+  });
+
+  const items = blocks.map(block => {
+    const errors = [];
+    const warnings = [];
+    let body = block.text.trim();
+
+    const titleMatch = body.match(/^::([\s\S]*?[^\\])::/);
+    if (titleMatch) body = body.slice(titleMatch[0].length).trim();
+    const formatMatch = body.match(/^\[(html|moodle|plain|markdown)\]/i);
+    if (formatMatch) body = body.slice(formatMatch[0].length).trim();
+    const isHtml = formatMatch?.[1].toLowerCase() === 'html';
+
+    const open = findGiftSpecial(body, '{');
+    const close = open === -1 ? -1 : findGiftSpecial(body, '}', open + 1);
+    if (open === -1 || close === -1) {
+      errors.push(open === -1 ? 'No {answer} block (descriptions are not questions)' : 'The {answer} block is not closed');
+      return { source: `line ${block.line}`, question: null, errors, warnings };
     }
-    
-    // POST /api/quizzes - Create quiz (requires auth)
-    if (path === '/api/quizzes' && request.method === 'POST') {
-      return handleCreateQuiz(request, env);
+
+    const toText = part => {
+      const unescaped = unescapeGift(part);
+      return cleanImportText(isHtml
+        ? mapOutsideMath(unescaped, html => decodeXmlEntities(html.replace(/<br\s*\/?>|<\/p>/gi, '\n').replace(/<\/?[a-z][^>]*>/gi, '')))
+        : unescaped);
+    };
+    const before = toText(body.slice(0, open));
+    const after = toText(body.slice(close + 1));
+    const missingWord = Boolean(after);
+    const stem = missingWord ? `${before} ___ ${after}`.trim() : before;
+
+    const question = convertGiftAnswers(body.slice(open + 1, close), stem, missingWord, errors, warnings);
+    return { source: `line ${block.line}`, question, errors, warnings };
+  });
+
+  return { title: null, items, errors: [] };
+}
+
+// ---------- QTI ----------
+
+/**
+ * Decode XML character and entity references
+ */
+function decodeXmlEntities(text) {
+  const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
     }
-    
-    // GET/DELETE /api/quizzes/:id - Get or delete specific quiz
-    const quizMatch = path.match(/^\/api\/quizzes\/([a-z0-9-]+)$/);
-    if (quizMatch) {
-      const quizId = quizMatch[1];
-      if (request.method === 'GET') {
-        return handleGetQuiz(quizId, env);
-      }
-      if (request.method === 'DELETE') {
-        return handleDeleteQuiz(quizId, request, env);
+    return named[ref.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Parse XML into { name, attrs, children } nodes and text strings. Namespace
+ * prefixes are dropped; the DOCTYPE, comments and processing instructions are skipped.
+ */
+function parseXml(text) {
+  const localName = name => name.slice(name.indexOf(':') + 1);
+  const root = { name: '#document', attrs: {}, children: [] };
+  const stack = [root];
+  const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [, cdata, closeName, openName, attrText, selfClosing, chars] = match;
+    const parent = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      parent.children.push(cdata);
+    } else if (chars !== undefined) {
+      parent.children.push(decodeXmlEntities(chars));
+    } else if (closeName) {
+      // Unwind to the matching element, tolerating unclosed ones inside it
+      const index = stack.map(node => node.name).lastIndexOf(localName(closeName));
+      if (index > 0) stack.length = index;
+    } else if (openName) {
+      const attrs = {};
+      for (const [, name, , doubleQuoted, singleQuoted] of (attrText || '').matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attrs[localName(name)] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
       }
+      const node = { name: localName(openName), attrs, children: [] };
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
     }
-    
-    // Protected endpoints require app token
-    const appToken = request.headers.get('X-App-Token');
-    const authHeader = request.headers.get('Authorization');
-    const token = appToken || (authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null);
-    
-    // Allow requests from the official frontend without token
-    const origin = request.headers.get('Origin') || '';
-    const referer = request.headers.get('Referer') || '';
-    const isOfficialFrontend = origin.includes('nagusamecs.github.io') || 
-                               referer.includes('nagusamecs.github.io');
-    
-    let appId = 'anonymous';
-    
-    if (!isOfficialFrontend) {
-      const validation = validateAppToken(token, env);
-      
-      if (!validation.valid) {
-        return new Response(JSON.stringify({
-          error: 'Unauthorized',
-          message: 'Valid X-App-Token header required. Request access at https://nagusamecs.github.io/OpenNotesAPI/',
-        }), {
-          status: 401,
-          headers: {
-            'Content-Type': 'application/json',
-            ...corsHeaders,
-            ...securityHeaders(),
-          },
-        });
+  }
+  return root;
+}
+
+/**
+ * All descendant elements with a name, in document order
+ */
+function xmlFindAll(node, name) {
+  const found = [];
+  for (const child of node.children || []) {
+    if (typeof child === 'string') continue;
+    if (child.name === name) found.push(child);
+    found.push(...xmlFindAll(child, name));
+  }
+  return found;
+}
+
+const QTI_BLOCK_ELEMENTS = new Set(['p', 'div', 'br', 'li', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'prompt']);
+const QTI_INTERACTIONS = new Set([
+  'choiceInteraction', 'textEntryInteraction', 'inlineChoiceInteraction', 'extendedTextInteraction', 'matchInteraction',
+  'orderInteraction', 'associateInteraction', 'gapMatchInteraction', 'hottextInteraction', 'hotspotInteraction',
+  'sliderInteraction', 'uploadInteraction', 'drawingInteraction', 'mediaInteraction', 'graphicGapMatchInteraction',
+  'graphicOrderInteraction', 'graphicAssociateInteraction', 'selectPointInteraction', 'positionObjectInteraction',
+  'customInteraction', 'endAttemptInteraction',
+]);
+
+/**
+ * Text of a QTI content node. Inline blanks become ___, block interactions
+ * contribute only their prompt, and MathML with a TeX annotation becomes $...$.
+ */
+function qtiText(node) {
+  if (typeof node === 'string') return node;
+  if (node.name === 'textEntryInteraction' || node.name === 'inlineChoiceInteraction') return '___';
+  if (QTI_INTERACTIONS.has(node.name)) {
+    const prompt = (node.children || []).find(child => child.name === 'prompt');
+    return prompt ? `\n${qtiText(prompt)}\n` : '';
+  }
+  if (node.name === 'math') {
+    const tex = xmlFindAll(node, 'annotation').find(annotation => /tex/i.test(annotation.attrs.encoding || ''));
+    return tex ? `$${tex.children.join('').trim()}$` : node.children.map(qtiText).join('');
+  }
+  if (node.name === 'img') return node.attrs.alt || '';
+  if (node.name === 'br') return '\n';
+  if (['feedbackInline', 'feedbackBlock', 'rubricBlock', 'templateBlock', 'stylesheet'].includes(node.name)) return '';
+
+  const text = (node.children || []).map(qtiText).join('');
+  return QTI_BLOCK_ELEMENTS.has(node.name) ? `\n${text}\n` : text;
+}
+
+/**
+ * Correct values of each response declaration, by identifier
+ */
+function qtiCorrectResponses(item) {
+  const responses = {};
+  for (const declaration of xmlFindAll(item, 'responseDeclaration')) {
+    const values = xmlFindAll(declaration, 'correctResponse').flatMap(correct => xmlFindAll(correct, 'value'))
+      .map(value => value.children.join('').trim());
+    // A mapping can accept more answers than correctResponse lists; best-scoring first
+    const entries = xmlFindAll(declaration, 'mapEntry').filter(entry => Number(entry.attrs.mappedValue) > 0)
+      .sort((a, b) => Number(b.attrs.mappedValue) - Number(a.attrs.mappedValue));
+    values.push(...entries.map(entry => entry.attrs.mapKey).filter(key => !values.includes(key)));
+    responses[declaration.attrs.identifier] = values;
+  }
+  return responses;
+}
+
+/**
+ * Convert one QTI 2.1 assessmentItem to a question
+ */
+function convertQtiItem(item, errors, warnings) {
+  const body = xmlFindAll(item, 'itemBody')[0];
+  if (!body) {
+    errors.push('The item has no itemBody');
+    return null;
+  }
+
+  const responses = qtiCorrectResponses(item);
+  const interactions = [];
+  const collect = node => {
+    for (const child of node.children || []) {
+      if (typeof child === 'string') continue;
+      if (QTI_INTERACTIONS.has(child.name)) interactions.push(child);
+      else collect(child);
+    }
+  };
+  collect(body);
+
+  const stem = cleanImportText(qtiText(body));
+  const feedback = xmlFindAll(item, 'modalFeedback').map(node => cleanImportText(qtiText(node))).filter(Boolean).join('\n');
+  const maxScore = xmlFindAll(item, 'outcomeDeclaration').find(outcome => outcome.attrs.identifier === 'MAXSCORE');
+  const points = maxScore ? xmlFindAll(maxScore, 'value')[0]?.children.join('').trim() : undefined;
+  const extras = importQuestionExtras({ explanation: feedback, points });
+  const kinds = new Set(interactions.map(interaction => interaction.name));
+
+  if (interactions.length === 0) {
+    errors.push('The item has no interaction');
+    return null;
+  }
+
+  if ([...kinds].every(kind => kind === 'textEntryInteraction' || kind === 'inlineChoiceInteraction')) {
+    const blanks = interactions.map(interaction => {
+      const correct = responses[interaction.attrs.responseIdentifier] || [];
+      if (interaction.name === 'inlineChoiceInteraction') {
+        const choice = xmlFindAll(interaction, 'inlineChoice').find(option => option.attrs.identifier === correct[0]);
+        return choice ? cleanImportText(qtiText(choice)) : '';
       }
-      
-      appId = validation.app;
-      
-      // Check rate limit
-      const rateLimit = checkRateLimit(appId, validation.config);
-      if (!rateLimit.allowed) {
-        return new Response(JSON.stringify({
-          error: 'Rate limit exceeded',
-          retryAfter: Math.ceil((rateLimit.resetAt - Date.now()) / 1000),
-        }), {
-          status: 429,
-          headers: {
-            'Content-Type': 'application/json',
-            'Retry-After': Math.ceil((rateLimit.resetAt - Date.now()) / 1000).toString(),
-            'X-RateLimit-Remaining': '0',
-            ...corsHeaders,
-            ...securityHeaders(),
-          },
-        });
+      if (correct.length > 1) warnings.push(`Only the first accepted answer ("${correct[0]}") is kept for a blank`);
+      return correct[0] || '';
+    });
+    return { type: 'fitb', question: stem, blanks, ...extras };
+  }
+
+  if (interactions.length > 1) {
+    errors.push(`Items with several interactions (${[...kinds].join(', ')}) are not supported`);
+    return null;
+  }
+
+  const [interaction] = interactions;
+  const correct = responses[interaction.attrs.responseIdentifier] || [];
+  switch (interaction.name) {
+    case 'choiceInteraction': {
+      const choices = xmlFindAll(interaction, 'simpleChoice');
+      const options = choices.map(choice => cleanImportText(qtiText(choice)));
+      const correctAnswers = choices.flatMap((choice, index) => (correct.includes(choice.attrs.identifier) ? [index] : []));
+      const booleans = options.map(parseBooleanAnswer);
+      if (options.length === 2 && correctAnswers.length === 1 && booleans[0] !== null && booleans[1] !== null && booleans[0] !== booleans[1]) {
+        return { type: 'tf', question: stem, correctAnswer: booleans[correctAnswers[0]], ...extras };
       }
-    } else {
-      appId = 'official-frontend';
+      return { type: 'mcq', question: stem, options, correctAnswers, ...extras };
     }
-    
-    // Route API requests
-    if (path.startsWith('/api/')) {
-      // Map paths to OpenNotes API params
-      const apiPath = path.replace('/api/', '');
-      
-      // Set type parameter based on path
-      if (apiPath === 'notes' || apiPath === 'notes/') {
-        url.searchParams.set('type', 'list');
-      } else if (apiPath.startsWith('notes/')) {
-        const noteId = apiPath.replace('notes/', '');
-        url.searchParams.set('type', 'note');
-        url.searchParams.set('noteId', noteId);
-      } else if (apiPath === 'search' || apiPath === 'search/') {
-        url.searchParams.set('type', 'list');
+    case 'matchInteraction': {
+      const [leftSet, rightSet] = xmlFindAll(interaction, 'simpleMatchSet');
+      const left = leftSet ? xmlFindAll(leftSet, 'simpleAssociableChoice') : [];
+      const right = rightSet ? xmlFindAll(rightSet, 'simpleAssociableChoice') : [];
+      const correctPairs = {};
+      for (const pair of correct) {
+        const [from, to] = pair.split(/\s+/);
+        const l = left.findIndex(choice => choice.attrs.identifier === from);
+        const r = right.findIndex(choice => choice.attrs.identifier === to);
+        if (l !== -1 && r !== -1) correctPairs[l] = r;
       }
-      
-      return proxyToOpenNotes(new Request(url.toString(), request), env, appId);
+      return {
+        type: 'matching',
+        question: stem,
+        leftItems: left.map(choice => cleanImportText(qtiText(choice))),
+        rightItems: right.map(choice => cleanImportText(qtiText(choice))),
+        correctPairs,
+        ...extras,
+      };
     }
-    
-    // 404 for unknown paths
-    return new Response(JSON.stringify({
-      error: 'Not Found',
-      path: path,
-    }), {
-      status: 404,
-      headers: {
-        'Content-Type': 'application/json',
-        ...corsHeaders,
-        ...securityHeaders(),
-      },
+    case 'extendedTextInteraction':
+      if (correct.length === 0) errors.push('Essay questions have no answer to grade');
+      return { type: 'frq', question: stem, correctAnswers: correct, ...extras };
+    default:
+      errors.push(`Unsupported interaction "${interaction.name}"`);
+      return null;
+  }
+}
+
+/**
+ * Convert IMS QTI 2.1 XML (one or more assessmentItem elements) to questions
+ */
+function convertQtiQuiz(text) {
+  const document = parseXml(text);
+  const items = xmlFindAll(document, 'assessmentItem');
+  if (items.length === 0) {
+    return { title: null, items: [], errors: ['No QTI 2.1 assessmentItem elements found'] };
+  }
+  const test = xmlFindAll(document, 'assessmentTest')[0];
+
+  return {
+    title: test?.attrs.title || (items.length === 1 ? items[0].attrs.title : null) || null,
+    items: items.map((item, index) => {
+      const errors = [];
+      const warnings = [];
+      const question = convertQtiItem(item, errors, warnings);
+      return { source: `item "${item.attrs.identifier || index + 1}"`, question, errors, warnings };
+    }),
+    errors: [],
+  };
+}
+
+/**
+ * Convert an import file and validate each question.
+ * Returns the quiz fields found in the file, the questions that passed, and a per-question report.
+ */
+function convertQuizImport(format, content) {
+  const text = content.replace(/^﻿/, '');
+  const converted = { csv: convertCsvQuiz, gift: convertGiftQuiz, qti: convertQtiQuiz }[format](text);
+
+  const report = converted.items.map((item, i) => {
+    const errors = item.errors.map(error => `Question ${i + 1}: ${error}`);
+    if (item.question && errors.length === 0) errors.push(...validateQuestion(item.question, i));
+    return {
+      index: i + 1,
+      source: item.source,
+      type: item.question?.type || null,
+      errors,
+      warnings: item.warnings.map(warning => `Question ${i + 1}: ${warning}`),
+    };
+  });
+
+  return {
+    title: converted.title,
+    errors: converted.errors,
+    questions: converted.items.filter((_, i) => report[i].errors.length === 0).map(item => item.question),
+    report,
+  };
+}
+
+// ==================== QUIZ EXPORT ====================
+// A stored quiz rendered as a printable worksheet (HTML or Markdown, each with
+// an answer key) or as a question bank that other tools and POST
+// /api/quizzes/import read back (CSV, GIFT, single-file QTI 2.1). $...$ math is kept as
+// LaTeX in every format; the HTML worksheet typesets it with KaTeX.
+
+const QUIZ_EXPORT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  gift: { contentType: 'text/plain; charset=utf-8', extension: 'gift' },
+  qti: { contentType: 'application/xml; charset=utf-8', extension: 'xml' },
+};
+
+// Which part of a worksheet to render (html and md)
+const QUIZ_EXPORT_PARTS = ['both', 'worksheet', 'key'];
+
+const KATEX_CDN = 'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist';
+
+// Typesets the worksheet, then tells the desktop app's sandboxed print frame it is ready;
+// the frame has no access to the page, so the app asks it to print itself by message
+const QUIZ_EXPORT_SCRIPT = `document.addEventListener('DOMContentLoaded', function () {
+  if (window.renderMathInElement) {
+    renderMathInElement(document.body, {
+      delimiters: [{ left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false }],
+      throwOnError: false
+    });
+  }
+  if (window.parent !== window) window.parent.postMessage({ type: 'opennotes-export', event: 'mathReady' }, '*');
+});
+window.addEventListener('message', function (event) {
+  if (event.source === window.parent && event.data && event.data.type === 'opennotes-export' && event.data.event === 'print') window.print();
+});
+window.addEventListener('afterprint', function () {
+  if (window.parent !== window) window.parent.postMessage({ type: 'opennotes-export', event: 'afterprint' }, '*');
+});`;
+
+const QUIZ_EXPORT_STYLES = `
+body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 780px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+h1 { font-size: 1.6rem; margin: 0 0 4px; }
+.meta { color: #555; margin: 0 0 16px; }
+.student { display: flex; gap: 32px; border-bottom: 2px solid #111; padding-bottom: 12px; margin-bottom: 24px; }
+.student span { flex: 1; border-bottom: 1px solid #999; padding-bottom: 2px; }
+ol.questions { padding-left: 0; list-style: none; }
+.question { break-inside: avoid; margin-bottom: 28px; }
+.question-head { display: flex; justify-content: space-between; font-weight: bold; }
+.points { font-weight: normal; color: #555; }
+.prompt { margin: 6px 0 10px; }
+.diagram { margin: 8px 0; text-align: center; }
+.diagram img { max-width: 100%; height: auto; }
+.options { list-style: none; padding-left: 16px; margin: 0; }
+.options li { margin: 4px 0; }
+.letter { display: inline-block; width: 1.6em; font-weight: bold; }
+.blank { display: inline-block; min-width: 90px; border-bottom: 1px solid #111; text-align: center; font-size: 0.75em; color: #555; }
+.answer-lines div { border-bottom: 1px solid #999; height: 28px; }
+.matching { width: 100%; border-collapse: collapse; }
+.matching td { padding: 4px 8px; vertical-align: top; width: 50%; }
+.hint { color: #555; font-style: italic; }
+.answer-key h1 { margin-bottom: 16px; }
+.key-item { break-inside: avoid; margin-bottom: 14px; }
+.explanation { margin: 4px 0 0; }
+.page-break { break-before: page; }
+@page { margin: 18mm; }
+@media print { body { margin: 0; max-width: none; } }
+`;
+
+/**
+ * Escape text for HTML and XML
+ */
+function escapeMarkup(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * A–Z label for a 0-based choice index
+ */
+function choiceLetter(index) {
+  return String.fromCharCode(65 + index);
+}
+
+/**
+ * Answers of a fill-in-the-blank question (seed quizzes keep them in correctAnswers)
+ */
+function exportBlanks(q) {
+  return q.blanks || q.correctAnswers || [];
+}
+
+/**
+ * Right-hand matching items in worksheet order, alphabetical so the stored
+ * order doesn't give the pairs away. Returns the original indexes.
+ */
+function matchingDisplayOrder(q) {
+  return q.rightItems.map((_, r) => r).sort((a, b) => String(q.rightItems[a]).localeCompare(String(q.rightItems[b])));
+}
+
+/**
+ * The correct answer as worksheet text, using the worksheet's letters and numbers
+ */
+function formatQuizAnswer(q) {
+  switch (q.type) {
+    case 'mcq':
+      return q.correctAnswers.map(i => `${choiceLetter(i)}. ${q.options[i]}`).join('; ');
+    case 'tf':
+      return q.correctAnswer ? 'True' : 'False';
+    case 'fitb': {
+      const blanks = exportBlanks(q);
+      return blanks.length > 1 ? blanks.map((blank, i) => `(${i + 1}) ${blank}`).join('; ') : blanks[0] || '';
+    }
+    case 'matching': {
+      const order = matchingDisplayOrder(q);
+      return q.leftItems.map((_, l) => `${l + 1} → ${choiceLetter(order.indexOf(Number(q.correctPairs[l])))}`).join(', ');
+    }
+    default: {
+      const answers = (q.correctAnswers || []).join(' or ');
+      return q.tolerance ? `${answers} (±${q.tolerance})` : answers;
+    }
+  }
+}
+
+/**
+ * Total points of a quiz
+ */
+function quizTotalPoints(quiz) {
+  return quiz.questions.reduce((sum, q) => sum + questionPoints(q), 0);
+}
+
+/**
+ * "2 points" / "1 point"
+ */
+function pointsLabel(points) {
+  return `${points} point${points === 1 ? '' : 's'}`;
+}
+
+/**
+ * A filename-safe version of the quiz title
+ */
+function quizExportFilename(quiz, extension) {
+  const slug = String(quiz.title || quiz.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+  return `${slug || quiz.id}.${extension}`;
+}
+
+// ---------- HTML ----------
+
+/**
+ * Escape text for the worksheet, keeping math for KaTeX and line breaks.
+ * With `blanks`, ___ placeholders become numbered answer lines.
+ */
+function worksheetHtml(text, blanks = 0) {
+  let blank = 0;
+  return splitMathSegments(String(text ?? '')).map(segment => {
+    if (segment.math) return escapeMarkup(segment.text);
+    let html = escapeMarkup(segment.text).replace(/\n/g, '<br>');
+    if (blanks) {
+      html = html.replace(/___/g, () => `<span class="blank">${blanks > 1 ? `(${++blank})` : ''}</span>`);
+    }
+    return html;
+  }).join('');
+}
+
+/**
+ * The answer area of one worksheet question
+ */
+function worksheetResponseHtml(q) {
+  switch (q.type) {
+    case 'mcq':
+      return `<ul class="options">${q.options.map((option, i) => `<li><span class="letter">${choiceLetter(i)}.</span>${worksheetHtml(option)}</li>`).join('')}</ul>`;
+    case 'tf':
+      return '<ul class="options"><li>○ True</li><li>○ False</li></ul>';
+    case 'fitb':
+      return '';
+    case 'matching': {
+      const order = matchingDisplayOrder(q);
+      const rows = Math.max(q.leftItems.length, order.length);
+      return `<table class="matching">${Array.from({ length: rows }, (_, row) => `<tr>
+        <td>${row < q.leftItems.length ? `____ ${row + 1}. ${worksheetHtml(q.leftItems[row])}` : ''}</td>
+        <td>${row < order.length ? `<span class="letter">${choiceLetter(row)}.</span>${worksheetHtml(q.rightItems[order[row]])}` : ''}</td>
+      </tr>`).join('')}</table>`;
+    }
+    default:
+      return '<div class="answer-lines"><div></div><div></div><div></div></div>';
+  }
+}
+
+/**
+ * Content-Security-Policy for the HTML export: KaTeX from the CDN, the one inline script and data: images only
+ */
+async function quizExportCsp() {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(QUIZ_EXPORT_SCRIPT));
+  const scriptHash = `'sha256-${btoa(String.fromCharCode(...new Uint8Array(digest)))}'`;
+  return `default-src 'none'; script-src ${KATEX_CDN}/ ${scriptHash}; style-src 'unsafe-inline' ${KATEX_CDN}/; font-src ${KATEX_CDN}/; img-src data:`;
+}
+
+/**
+ * Render a quiz as a printable HTML worksheet and/or answer key; the CSP is repeated in a meta tag
+ * because the desktop app prints from a srcdoc frame, which never sees the response header
+ */
+function renderQuizHtml(quiz, part, csp) {
+  const total = quizTotalPoints(quiz);
+  const meta = [quiz.subject, quiz.topic, `${quiz.questions.length} questions`, pointsLabel(total)].filter(Boolean).map(escapeMarkup).join(' · ');
+
+  const worksheet = `
+<section class="worksheet">
+  <h1>${escapeMarkup(quiz.title)}</h1>
+  <p class="meta">${meta}</p>
+  ${quiz.description ? `<p>${worksheetHtml(quiz.description)}</p>` : ''}
+  <div class="student"><span>Name:</span><span>Date:</span><span>Score: &nbsp;&nbsp;&nbsp;&nbsp; / ${total}</span></div>
+  <ol class="questions">
+    ${quiz.questions.map((q, i) => `<li class="question">
+      <div class="question-head"><span>Question ${i + 1}</span><span class="points">${pointsLabel(questionPoints(q))}</span></div>
+      <div class="prompt">${worksheetHtml(q.question, q.type === 'fitb' ? exportBlanks(q).length : 0)}</div>
+      ${q.svg ? `<div class="diagram"><img src="data:image/svg+xml;base64,${base64Utf8(q.svg)}" alt=""></div>` : ''}
+      ${worksheetResponseHtml(q)}
+      ${q.hint ? `<p class="hint">Hint: ${worksheetHtml(q.hint)}</p>` : ''}
+    </li>`).join('\n    ')}
+  </ol>
+</section>`;
+
+  const key = `
+<section class="answer-key${part === 'both' ? ' page-break' : ''}">
+  <h1>${escapeMarkup(quiz.title)}: Answer Key</h1>
+  ${quiz.questions.map((q, i) => `<div class="key-item">
+    <div><strong>${i + 1}.</strong> ${worksheetHtml(formatQuizAnswer(q))}</div>
+    ${q.explanation ? `<p class="explanation">${worksheetHtml(q.explanation)}</p>` : ''}
+  </div>`).join('\n  ')}
+</section>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${escapeMarkup(csp)}">
+<title>${escapeMarkup(quiz.title)}${part === 'key' ? ': Answer Key' : ''}</title>
+<link rel="stylesheet" href="${KATEX_CDN}/katex.min.css">
+<script defer src="${KATEX_CDN}/katex.min.js"></script>
+<script defer src="${KATEX_CDN}/contrib/auto-render.min.js"></script>
+<script>${QUIZ_EXPORT_SCRIPT}</script>
+<style>${QUIZ_EXPORT_STYLES}</style>
+</head>
+<body>
+${part !== 'key' ? worksheet : ''}
+${part !== 'worksheet' ? key : ''}
+</body>
+</html>
+`;
+}
+
+// ---------- Markdown ----------
+
+/**
+ * Markdown text with math kept, ___ placeholders escaped (bare ___ is a rule in
+ * Markdown) and line breaks kept as hard breaks
+ */
+function worksheetMarkdown(text) {
+  return mapOutsideMath(String(text ?? ''), part => part.replace(/___/g, '\\_\\_\\_\\_\\_\\_').replace(/\n/g, '  \n'));
+}
+
+/**
+ * Render a quiz as a Markdown worksheet and/or answer key
+ */
+function renderQuizMarkdown(quiz, part) {
+  const lines = [];
+  if (part !== 'key') {
+    lines.push(`# ${quiz.title}`, '');
+    lines.push(`*${[quiz.subject, quiz.topic, `${quiz.questions.length} questions`, pointsLabel(quizTotalPoints(quiz))].filter(Boolean).join(' · ')}*`, '');
+    if (quiz.description) lines.push(worksheetMarkdown(quiz.description), '');
+
+    quiz.questions.forEach((q, i) => {
+      lines.push(`## Question ${i + 1} (${pointsLabel(questionPoints(q))})`, '', worksheetMarkdown(q.question), '');
+      if (q.svg) lines.push(q.svg, '');
+      if (q.type === 'mcq') {
+        q.options.forEach((option, o) => lines.push(`- **${choiceLetter(o)}.** ${worksheetMarkdown(option)}`));
+        lines.push('');
+      } else if (q.type === 'tf') {
+        lines.push('- True', '- False', '');
+      } else if (q.type === 'matching') {
+        const order = matchingDisplayOrder(q);
+        lines.push('| | |', '|---|---|');
+        for (let row = 0; row < Math.max(q.leftItems.length, order.length); row++) {
+          const left = row < q.leftItems.length ? `${row + 1}. ${worksheetMarkdown(q.leftItems[row])}` : '';
+          const right = row < order.length ? `${choiceLetter(row)}. ${worksheetMarkdown(q.rightItems[order[row]])}` : '';
+          lines.push(`| ${left.replace(/\|/g, '\\|')} | ${right.replace(/\|/g, '\\|')} |`);
+        }
+        lines.push('');
+      } else if (q.type === 'frq') {
+        lines.push('Answer: \\_\\_\\_\\_\\_\\_\\_\\_\\_\\_\\_\\_\\_\\_\\_\\_', '');
+      }
+      if (q.hint) lines.push(`*Hint: ${worksheetMarkdown(q.hint)}*`, '');
+    });
+  }
+
+  if (part !== 'worksheet') {
+    if (part === 'both') lines.push('---', '');
+    lines.push(`# ${quiz.title}: Answer Key`, '');
+    quiz.questions.forEach((q, i) => {
+      lines.push(`${i + 1}. **${worksheetMarkdown(formatQuizAnswer(q))}**`);
+      if (q.explanation) lines.push(`   ${worksheetMarkdown(q.explanation).replace(/\n/g, '\n   ')}`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// ---------- CSV ----------
+
+/**
+ * Quote a CSV field when it needs it
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",;\t\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a quiz as CSV, one question per row, in the columns the importer reads
+ */
+function renderQuizCsv(quiz) {
+  const rows = [['type', 'question', 'options', 'answer', 'explanation', 'hint', 'points', 'tolerance', 'svg']];
+  for (const q of quiz.questions) {
+    let options = '';
+    let answer = '';
+    switch (q.type) {
+      case 'mcq':
+        options = q.options.join('|');
+        answer = q.correctAnswers.map(choiceLetter).join('|');
+        break;
+      case 'tf':
+        answer = String(q.correctAnswer);
+        break;
+      case 'fitb':
+        answer = exportBlanks(q).join('|');
+        break;
+      case 'matching': {
+        // Right items nobody matches are distractors, written with an empty left side
+        const matched = q.leftItems.map((_, l) => Number(q.correctPairs[l]));
+        answer = [
+          ...q.leftItems.map((left, l) => `${left} -> ${q.rightItems[matched[l]]}`),
+          ...q.rightItems.filter((_, r) => !matched.includes(r)).map(right => ` -> ${right}`),
+        ].join('|');
+        break;
+      }
+      default:
+        answer = (q.correctAnswers || []).join('|');
+    }
+    rows.push([q.type, q.question, options, answer, q.explanation, q.hint, questionPoints(q), q.tolerance ?? '', q.svg]);
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// ---------- GIFT ----------
+
+/**
+ * Escape GIFT special characters and line breaks outside math
+ */
+function escapeGift(text) {
+  return mapOutsideMath(String(text ?? ''), part => part.replace(/[~=#{}:\\]/g, '\\$&').replace(/\r?\n/g, '\\n'));
+}
+
+/**
+ * Render a quiz as Moodle GIFT. Diagrams, hints and points have no GIFT
+ * equivalent and are left out; fill-in-the-blank questions with several
+ * blanks are written as comments.
+ */
+function renderQuizGift(quiz) {
+  const lines = [`// ${quiz.title}`, `$CATEGORY: ${[quiz.subject, quiz.topic].filter(Boolean).join('/')}`, ''];
+  quiz.questions.forEach((q, i) => {
+    const title = `::Question ${i + 1}::`;
+    const feedback = q.explanation ? `####${escapeGift(q.explanation)}` : '';
+    switch (q.type) {
+      case 'mcq': {
+        const weight = q.correctAnswers.length > 1 ? `%${Number((100 / q.correctAnswers.length).toFixed(5))}%` : '';
+        const answers = q.options.map((option, o) => (q.correctAnswers.includes(o)
+          ? (weight ? `~${weight}` : '=') : '~') + escapeGift(option));
+        lines.push(`${title}${escapeGift(q.question)} {`, ...answers.map(answer => `\t${answer}`), ...(feedback ? [`\t${feedback}`] : []), '}');
+        break;
+      }
+      case 'tf':
+        lines.push(`${title}${escapeGift(q.question)} {${q.correctAnswer ? 'TRUE' : 'FALSE'}${feedback}}`);
+        break;
+      case 'fitb': {
+        const blanks = exportBlanks(q);
+        if (blanks.length !== 1) {
+          lines.push(`// Question ${i + 1} has ${blanks.length} blanks; GIFT allows one per question`);
+          break;
+        }
+        const [before, ...after] = splitOutsideMath(q.question, '___');
+        lines.push(`${title}${escapeGift(before)}{=${escapeGift(blanks[0])}${feedback}}${escapeGift(after.join('___'))}`);
+        break;
+      }
+      case 'matching':
+        lines.push(`${title}${escapeGift(q.question)} {`,
+          ...q.leftItems.map((left, l) => `\t=${escapeGift(left)} -> ${escapeGift(q.rightItems[q.correctPairs[l]])}`),
+          ...(feedback ? [`\t${feedback}`] : []), '}');
+        break;
+      default: {
+        const answers = q.correctAnswers || [];
+        const numeric = answers.length > 0 && answers.every(answer => answer.trim() !== '' && !Number.isNaN(Number(answer)));
+        const accepted = numeric
+          ? `#${answers.map(answer => `=${answer.trim()}${q.tolerance ? `:${q.tolerance}` : ''}`).join(' ')}`
+          : answers.map(answer => `=${escapeGift(answer)}`).join(' ');
+        lines.push(`${title}${escapeGift(q.question)} {${accepted}${feedback}}`);
+      }
+    }
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+// ---------- QTI ----------
+
+/**
+ * Encode text as base64 (UTF-8)
+ */
+function base64Utf8(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/**
+ * QTI flow content: escaped text, math as MathML carrying the TeX source, line breaks as <br/>.
+ * `blank` renders each ___ placeholder (textEntryInteraction for fill-in-the-blank).
+ */
+function qtiFlow(text, blank = null) {
+  let count = 0;
+  return splitMathSegments(String(text ?? '')).map(segment => {
+    if (segment.math) {
+      const display = segment.text.startsWith('$$');
+      const tex = segment.text.slice(display ? 2 : 1, display ? -2 : -1).trim();
+      return `<math xmlns="http://www.w3.org/1998/Math/MathML"${display ? ' display="block"' : ''}><semantics><mtext>${escapeMarkup(tex)}</mtext><annotation encoding="application/x-tex">${escapeMarkup(tex)}</annotation></semantics></math>`;
+    }
+    let xml = escapeMarkup(segment.text).replace(/\r?\n/g, '<br/>');
+    if (blank) xml = xml.replace(/___/g, () => blank(count++));
+    return xml;
+  }).join('');
+}
+
+/**
+ * A QTI response declaration with its correct values
+ */
+function qtiResponseDeclaration(identifier, cardinality, baseType, values) {
+  return `<responseDeclaration identifier="${identifier}" cardinality="${cardinality}" baseType="${baseType}">
+      <correctResponse>${values.map(value => `<value>${escapeMarkup(value)}</value>`).join('')}</correctResponse>
+    </responseDeclaration>`;
+}
+
+/**
+ * Render one question as a QTI 2.1 assessmentItem
+ */
+function renderQtiItem(q, i) {
+  const identifier = /^[A-Za-z_][\w.-]*$/.test(q.id || '') ? q.id : `item${i + 1}`;
+  const declarations = [];
+  let body;
+
+  switch (q.type) {
+    case 'mcq':
+    case 'tf': {
+      const options = q.type === 'tf' ? ['True', 'False'] : q.options;
+      const correct = q.type === 'tf' ? [q.correctAnswer ? 0 : 1] : q.correctAnswers;
+      const single = correct.length === 1;
+      declarations.push(qtiResponseDeclaration('RESPONSE', single ? 'single' : 'multiple', 'identifier', correct.map(c => `C${c}`)));
+      body = `<p>${qtiFlow(q.question)}</p>
+      <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${single ? 1 : 0}">
+        ${options.map((option, o) => `<simpleChoice identifier="C${o}">${qtiFlow(option)}</simpleChoice>`).join('\n        ')}
+      </choiceInteraction>`;
+      break;
+    }
+    case 'fitb': {
+      const blanks = exportBlanks(q);
+      const responseId = n => (blanks.length === 1 ? 'RESPONSE' : `RESPONSE${n + 1}`);
+      blanks.forEach((blank, n) => declarations.push(qtiResponseDeclaration(responseId(n), 'single', 'string', [blank])));
+      body = `<p>${qtiFlow(q.question, n => `<textEntryInteraction responseIdentifier="${responseId(n)}" expectedLength="${Math.max(8, (blanks[n] || '').length)}"/>`)}</p>`;
+      break;
+    }
+    case 'matching':
+      declarations.push(qtiResponseDeclaration('RESPONSE', 'multiple', 'directedPair',
+        q.leftItems.map((_, l) => `L${l} R${q.correctPairs[l]}`)));
+      body = `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${q.leftItems.length}">
+        <prompt>${qtiFlow(q.question)}</prompt>
+        <simpleMatchSet>
+          ${q.leftItems.map((left, l) => `<simpleAssociableChoice identifier="L${l}" matchMax="1">${qtiFlow(left)}</simpleAssociableChoice>`).join('\n          ')}
+        </simpleMatchSet>
+        <simpleMatchSet>
+          ${q.rightItems.map((right, r) => `<simpleAssociableChoice identifier="R${r}" matchMax="${q.leftItems.length}">${qtiFlow(right)}</simpleAssociableChoice>`).join('\n          ')}
+        </simpleMatchSet>
+      </matchInteraction>`;
+      break;
+    default: {
+      // correctResponse holds one value; the mapping lists every accepted answer
+      const answers = q.correctAnswers || [];
+      declarations.push(qtiResponseDeclaration('RESPONSE', 'single', 'string', answers.slice(0, 1)).replace('</responseDeclaration>',
+        `  <mapping defaultValue="0">${answers.map(answer => `<mapEntry mapKey="${escapeMarkup(answer)}" mappedValue="1"/>`).join('')}</mapping>
+    </responseDeclaration>`));
+      body = `<p>${qtiFlow(q.question)}</p>
+      <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="3"/>`;
+    }
+  }
+
+  const diagram = q.svg ? `\n      <p><img src="data:image/svg+xml;base64,${base64Utf8(q.svg)}" alt=""/></p>` : '';
+  return `<assessmentItem identifier="${identifier}" title="Question ${i + 1}" adaptive="false" timeDependent="false">
+    ${declarations.join('\n    ')}
+    <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+    <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${questionPoints(q)}</value></defaultValue></outcomeDeclaration>
+    <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+    <itemBody>
+      ${body}${diagram}
+    </itemBody>
+    <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>${q.explanation ? `
+    <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="hide">${qtiFlow(q.explanation)}</modalFeedback>` : ''}
+  </assessmentItem>`;
+}
+
+/**
+ * Render a quiz as one non-standard QTI 2.1 XML file. QTI 2.1 wants each
+ * assessmentItem in its own file of a zipped content package, referenced from
+ * the test; this single file nests them in the assessmentTest instead, which
+ * POST /api/quizzes/import reads back but other QTI tools may reject
+ */
+function renderQuizQti(quiz) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!-- OpenNotes single-file QTI 2.1 export: not a conformant QTI content package -->
+<assessmentTest xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="quiz-${escapeMarkup(quiz.id)}" title="${escapeMarkup(quiz.title)}">
+  ${quiz.questions.map(renderQtiItem).join('\n  ')}
+</assessmentTest>
+`;
+}
+
+// Allowed origins for auth code creation (security)
+const ALLOWED_AUTH_ORIGINS = [
+  'https://nagusamecs.github.io',
+  'https://opennotes.pages.dev',
+  'http://localhost:5173', // Dev mode
+  'tauri://localhost', // Tauri app
+];
+
+// Upstream API URL
+const UPSTREAM_API = 'https://open-notes.tebby2008-li.workers.dev';
+
+// Desktop app identifier for validation
+const DESKTOP_APP_SECRET = 'opennotes-desktop-v1';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-App-Token, X-Desktop-App, X-Quiz-Token, X-Auth-Token, X-Client-Id, X-Request-Id',
+  'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Cache, X-Stale, Warning, X-Counter-Deduplicated, X-Request-Id',
+  'Access-Control-Max-Age': '86400',
+};
+
+// Desktop auth code lifetime and per-client brute-force lockout
+const AUTH_CODE_TTL_SECONDS = 300;
+const AUTH_MAX_FAILED_ATTEMPTS = 5;
+const AUTH_LOCKOUT_SECONDS = 900;
+// Wrong codes from all clients that one live code survives. Rotating IPs gets
+// around the per-client lockout, and a miss can't tell which code it was aimed
+// at, so it counts against every code outstanding. A code past this many is
+// burned; codes issued later start from zero, so nobody else is locked out.
+const AUTH_CODE_MAX_MISSES = 1000;
+// Longest user token the auth page may hand over
+const AUTH_TOKEN_MAX_LENGTH = 4096;
+
+// Device authorization flow (RFC 8628)
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEVICE_VERIFICATION_URI = 'https://nagusamecs.github.io/OpenNotesAPI/auth.html';
+const DEVICE_USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+const DEVICE_CODE_TTL_SECONDS = 600;
+const DEVICE_POLL_INTERVAL_SECONDS = 5;
+const DEVICE_SLOW_DOWN_SECONDS = 5;
+const DEVICE_RECORD_GRACE_SECONDS = 60;
+
+// Rate limiting store (per worker instance, used when no shared limiter is bound)
+const rateLimitStore = new Map();
+
+/**
+ * Generate a random 6-digit code
+ */
+function generateAuthCode() {
+  const [value] = crypto.getRandomValues(new Uint32Array(1));
+  return (100000 + (value % 900000)).toString();
+}
+
+/**
+ * SHA-256 hex digest of a token, so raw credentials never need to be stored
+ */
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ---------- Auth code storage ----------
+// A 6-digit code (or 8-letter user code) is too small to protect anything on
+// its own: anyone who can read AUTH_KV could try every value offline. So codes
+// are looked up by an HMAC keyed with AUTH_CODE_SECRET, and the user token is
+// sealed with AES-GCM under a key derived from that secret and the code. A KV
+// dump alone reveals neither. Online guessing is limited by the lockouts in
+// handleExchangeCode and handleDeviceApprove. Sign-in needs AUTH_KV: codes
+// made in one isolate must exchange in any other.
+
+/**
+ * Secret keying auth code lookups and sealed tokens, or null when AUTH_KV or
+ * AUTH_CODE_SECRET is missing and sign-in can't work
+ */
+function getAuthCodeSecret(env) {
+  return env?.AUTH_KV && env.AUTH_CODE_SECRET ? env.AUTH_CODE_SECRET : null;
+}
+
+/**
+ * 503 for sign-in routes on a deployment missing AUTH_KV or AUTH_CODE_SECRET
+ */
+function authNotConfiguredResponse() {
+  logEvent('error', 'auth_not_configured');
+  return errorResponse(503, 'auth_not_configured', 'Desktop sign-in is not configured on this gateway');
+}
+
+/**
+ * Storage key for a code: hex HMAC-SHA-256 of the code under the secret
+ */
+async function hashAuthCode(code, secret) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const mac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(code));
+  return [...new Uint8Array(mac)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * AES-GCM key derived from the secret, an auth code and a per-code salt
+ */
+async function deriveAuthCodeKey(code, salt, secret) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(`opennotes-auth-code:${code}`) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(value) {
+  return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+}
+
+/**
+ * Encrypt a user token so it can only be recovered with the code and the secret
+ */
+async function sealAuthToken(token, code, secret) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveAuthCodeKey(code, salt, secret);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(token));
+  return {
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(new Uint8Array(ciphertext)),
+  };
+}
+
+/**
+ * Decrypt a token sealed by sealAuthToken
+ */
+async function openAuthToken(sealed, code, secret) {
+  const key = await deriveAuthCodeKey(code, base64ToBytes(sealed.salt), secret);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) },
+    key,
+    base64ToBytes(sealed.data)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Get a stored auth code record by code hash
+ */
+async function getAuthCode(codeHash, env) {
+  return env.AUTH_KV.get(`authcode:${codeHash}`, 'json');
+}
+
+/**
+ * Store an auth code record under its hash until it expires
+ */
+async function putAuthCode(codeHash, record, env) {
+  await env.AUTH_KV.put(`authcode:${codeHash}`, JSON.stringify(record), {
+    expirationTtl: AUTH_CODE_TTL_SECONDS,
+  });
+}
+
+/**
+ * Remove an auth code once it has been exchanged
+ */
+async function deleteAuthCode(codeHash, env) {
+  await env.AUTH_KV.delete(`authcode:${codeHash}`);
+}
+
+/**
+ * Failed exchange attempts for a client in the current lockout window
+ */
+async function getAuthFailures(clientHash, env) {
+  const record = await env.AUTH_KV.get(`authfail:${clientHash}`, 'json');
+  return record && record.expiresAt > Date.now() ? record : { count: 0, expiresAt: 0 };
+}
+
+/**
+ * Count a failed exchange; the client's lockout window restarts with each one
+ */
+async function recordAuthFailure(clientHash, failures, env) {
+  const record = { count: failures.count + 1, expiresAt: Date.now() + AUTH_LOCKOUT_SECONDS * 1000 };
+  await env.AUTH_KV.put(`authfail:${clientHash}`, JSON.stringify(record), {
+    expirationTtl: AUTH_LOCKOUT_SECONDS,
+  });
+  return record;
+}
+
+/**
+ * Forget a client's failures after a successful exchange
+ */
+async function clearAuthFailures(clientHash, env) {
+  await env.AUTH_KV.delete(`authfail:${clientHash}`);
+}
+
+/**
+ * Wrong codes sent by all clients so far. KV has no atomic increment, so
+ * concurrent misses may be undercounted; it only has to grow roughly as fast as guesses do.
+ */
+async function getAuthMissCount(env) {
+  const record = await env.AUTH_KV.get('authmisses', 'json');
+  return record?.count || 0;
+}
+
+/**
+ * Count one more wrong code against every outstanding code
+ */
+async function recordAuthMiss(missCount, env) {
+  await env.AUTH_KV.put('authmisses', JSON.stringify({ count: missCount + 1 }));
+}
+
+// ---------- Device authorization storage ----------
+// RFC 8628 device flow. `device:<hash>` holds the grant, `devuser:<hash>` maps
+// the short user code back to it. The user code is sealed with the device code
+// and the approved token with the user code, so a KV dump reveals neither.
+
+/**
+ * Get a device-flow record (null once expired)
+ */
+async function getDeviceRecord(key, env) {
+  return env.AUTH_KV.get(key, 'json');
+}
+
+/**
+ * Store a device-flow record until shortly after it expires, so polls can
+ * tell an expired grant from an unknown one
+ */
+async function putDeviceRecord(key, record, env) {
+  const ttl = Math.ceil((record.expiresAt - Date.now()) / 1000) + DEVICE_RECORD_GRACE_SECONDS;
+  await env.AUTH_KV.put(key, JSON.stringify(record), { expirationTtl: Math.max(60, ttl) });
+}
+
+/**
+ * Remove a device-flow record
+ */
+async function deleteDeviceRecord(key, env) {
+  await env.AUTH_KV.delete(key);
+}
+
+/**
+ * Random user code like `BCDF-GHJK` (no vowels, so no accidental words)
+ */
+function generateUserCode() {
+  const chars = crypto.getRandomValues(new Uint8Array(8));
+  const code = [...chars].map(b => DEVICE_USER_CODE_ALPHABET[b % DEVICE_USER_CODE_ALPHABET.length]).join('');
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+/**
+ * Canonical form of a typed user code (case, spaces and dashes ignored)
+ */
+function normalizeUserCode(value) {
+  const code = String(value || '').toUpperCase().replace(/[^A-Z]/g, '');
+  return code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : null;
+}
+
+/**
+ * Validate app token against the APP_TOKENS secret and the managed tokens in KV
+ */
+async function validateAppToken(token, env) {
+  if (!token) return { valid: false, app: null };
+  
+  try {
+    const tokens = JSON.parse(env.APP_TOKENS || '{}');
+    for (const [appId, config] of Object.entries(tokens)) {
+      if (config.token === token && config.active) {
+        return { valid: true, app: appId, config };
+      }
+    }
+  } catch (e) {
+    logError('token_validation_error', e);
+  }
+  
+  try {
+    const record = await findManagedAppToken(token, env);
+    if (record?.active) {
+      return { valid: true, app: record.id, config: record };
+    }
+  } catch (e) {
+    logError('managed_token_lookup_error', e);
+  }
+  
+  return { valid: false, app: null };
+}
+
+// ---------- Rate limiting ----------
+// Limits are tracked per app (and per route when APP_TOKENS configures one) in
+// the first available backend: a Durable Object (RATE_LIMITER binding, exact
+// counts shared by every isolate), KV (RATE_LIMIT_KV binding, shared but
+// eventually consistent, so bursts across colos can briefly overshoot) or the
+// per-isolate rateLimitStore map. KV takes about one write per second per key,
+// and every request writes its app's key, so only use it for apps that stay
+// under ~1 request per second; anything busier needs the Durable Object.
+// Example APP_TOKENS entry:
+//
+//   "my-app": {
+//     "token": "...", "active": true,
+//     "rateLimit": 100, "rateLimitWindow": 60, "rateLimitAlgorithm": "token-bucket",
+//     "routeLimits": { "/api/search": 30, "/api/notes/:id": { "limit": 300, "window": 60 } }
+//   }
+
+const RATE_LIMIT_DEFAULT = 100;
+const RATE_LIMIT_WINDOW_DEFAULT = 60; // seconds
+const RATE_LIMIT_ALGORITHMS = ['sliding-window', 'token-bucket'];
+
+/**
+ * Collapse a request path to the route pattern used in `routeLimits`
+ */
+function rateLimitRoute(path) {
+  const trimmed = path.replace(/\/+$/, '') || '/';
+  if (/^\/api\/notes\/[^/]+$/.test(trimmed)) return '/api/notes/:id';
+  const counterMatch = trimmed.match(/^\/api\/notes\/[^/]+\/(views|downloads)$/);
+  if (counterMatch) return `/api/notes/:id/${counterMatch[1]}`;
+  return trimmed;
+}
+
+/**
+ * Resolve the limit, window and algorithm for an app on a route.
+ * Routes without their own entry share the app-wide bucket.
+ */
+function resolveRateLimitPolicy(appId, config, path) {
+  const route = rateLimitRoute(path);
+  const routeConfig = config?.routeLimits?.[route];
+  const override = typeof routeConfig === 'number' ? { limit: routeConfig } : (routeConfig || null);
+  
+  const limit = Number(override?.limit ?? config?.rateLimit) || RATE_LIMIT_DEFAULT;
+  const windowSeconds = Number(override?.window ?? config?.rateLimitWindow) || RATE_LIMIT_WINDOW_DEFAULT;
+  const algorithm = override?.algorithm ?? config?.rateLimitAlgorithm;
+  
+  return {
+    key: override ? `ratelimit:${appId}:${route}` : `ratelimit:${appId}`,
+    limit: Math.max(1, Math.floor(limit)),
+    windowMs: Math.max(1, windowSeconds) * 1000,
+    algorithm: RATE_LIMIT_ALGORITHMS.includes(algorithm) ? algorithm : 'sliding-window',
+  };
+}
+
+/**
+ * Apply one request to a limiter state. Pure, so every backend shares it.
+ * Sliding window weights the previous fixed window by how much of it still
+ * overlaps the last `windowMs`; token bucket refills `limit` tokens per window.
+ */
+function applyRateLimit(state, policy, now) {
+  const { limit, windowMs } = policy;
+  
+  if (policy.algorithm === 'token-bucket') {
+    const ratePerMs = limit / windowMs;
+    const elapsed = state?.updatedAt ? Math.max(0, now - state.updatedAt) : windowMs;
+    let tokens = Math.min(limit, (state?.tokens ?? limit) + elapsed * ratePerMs);
+    
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+    
+    return {
+      state: { tokens, updatedAt: now },
+      allowed,
+      limit,
+      remaining: Math.floor(tokens),
+      // Denied: when the next token arrives. Allowed: when the bucket is full again.
+      resetAt: now + Math.ceil((allowed ? limit - tokens : 1 - tokens) / ratePerMs),
+    };
+  }
+  
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let current = 0;
+  let previous = 0;
+  if (state?.windowStart === windowStart) {
+    current = state.current;
+    previous = state.previous;
+  } else if (state?.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+  
+  const weight = 1 - (now - windowStart) / windowMs;
+  const used = previous * weight + current;
+  const allowed = used + 1 <= limit;
+  if (allowed) current++;
+  
+  // Next slot frees up once the previous window's weight decays far enough
+  let resetAt = windowStart + windowMs;
+  if (!allowed && current < limit && previous > 0) {
+    resetAt = windowStart + Math.ceil((1 - (limit - 1 - current) / previous) * windowMs);
+  }
+  
+  return {
+    state: { windowStart, current, previous },
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - used - (allowed ? 1 : 0))),
+    resetAt,
+  };
+}
+
+/**
+ * Per-isolate limiter (fallback when no shared backend is bound)
+ */
+const memoryRateLimiter = {
+  async consume(policy) {
+    const result = applyRateLimit(rateLimitStore.get(policy.key), policy, Date.now());
+    rateLimitStore.set(policy.key, result.state);
+    return result;
+  },
+};
+
+/**
+ * KV-backed limiter: shared across isolates, last write wins. One get and one
+ * put per request, so it undercounts (and KV throttles) above ~1 request/second per key.
+ */
+function kvRateLimiter(kv) {
+  return {
+    async consume(policy) {
+      const result = applyRateLimit(await kv.get(policy.key, 'json'), policy, Date.now());
+      await kv.put(policy.key, JSON.stringify(result.state), {
+        // KV's minimum TTL is 60s; keep state for two windows
+        expirationTtl: Math.max(60, Math.ceil((policy.windowMs * 2) / 1000)),
+      });
+      return result;
+    },
+  };
+}
+
+/**
+ * Durable Object limiter: one object per key serializes every request
+ */
+function durableObjectRateLimiter(namespace) {
+  return {
+    async consume(policy) {
+      const stub = namespace.get(namespace.idFromName(policy.key));
+      const response = await stub.fetch('https://rate-limiter/consume', {
+        method: 'POST',
+        body: JSON.stringify(policy),
+      });
+      if (!response.ok) throw new Error(`Rate limiter responded ${response.status}`);
+      return response.json();
+    },
+  };
+}
+
+/**
+ * Pick the most durable limiter backend bound to this worker
+ */
+function getRateLimiter(env) {
+  if (env?.RATE_LIMITER) return durableObjectRateLimiter(env.RATE_LIMITER);
+  if (env?.RATE_LIMIT_KV) return kvRateLimiter(env.RATE_LIMIT_KV);
+  return memoryRateLimiter;
+}
+
+/**
+ * Check rate limit for an app on the requested route
+ */
+async function checkRateLimit(appId, config, path, env) {
+  const policy = resolveRateLimitPolicy(appId, config, path);
+  try {
+    return await getRateLimiter(env).consume(policy);
+  } catch (e) {
+    // A failing shared backend shouldn't take the gateway down; limit per isolate instead
+    logError('rate_limiter_error', e);
+    return memoryRateLimiter.consume(policy);
+  }
+}
+
+/**
+ * X-RateLimit-* headers describing a limiter result (Reset is a Unix timestamp in seconds)
+ */
+function rateLimitHeaders(rateLimit) {
+  if (!rateLimit) return {};
+  return {
+    'X-RateLimit-Limit': String(rateLimit.limit),
+    'X-RateLimit-Remaining': String(rateLimit.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rateLimit.resetAt / 1000)),
+  };
+}
+
+/**
+ * Durable Object holding limiter state for one key (bind as RATE_LIMITER)
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+  }
+  
+  async fetch(request) {
+    const policy = await request.json();
+    // Requests to one object run one at a time, so read-modify-write is atomic
+    const result = applyRateLimit(await this.state.storage.get('state'), policy, Date.now());
+    await this.state.storage.put('state', result.state);
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+/**
+ * Generate secure response headers
+ */
+function securityHeaders() {
+  return {
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'X-XSS-Protection': '1; mode=block',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Content-Security-Policy': "default-src 'none'",
+  };
+}
+
+/**
+ * Handle OPTIONS preflight requests
+ */
+function handleOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: corsHeaders,
+  });
+}
+
+// ==================== REQUEST LOGGING ====================
+// Every request gets an X-Request-Id: the client's own when it sends a usable
+// one, otherwise a new UUID. The id is echoed on the response, sent upstream
+// and written into each JSON log line, so a failure a client reports can be
+// found in `wrangler tail --format json`.
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Client ids end up in logs, so only short, plain ones are accepted
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Accept the client's request id or generate one
+ */
+function resolveRequestId(request) {
+  const supplied = request.headers.get(REQUEST_ID_HEADER);
+  return supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+}
+
+/**
+ * Write one JSON log line
+ */
+function logEvent(level, event, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, event, ...fields });
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * Log a caught error with its message and stack
+ */
+function logError(event, error, fields = {}) {
+  logEvent('error', event, { ...fields, error: error?.message || String(error), stack: error?.stack });
+}
+
+/**
+ * Copy a request so handlers and the upstream see the resolved request id
+ */
+function withRequestIdHeader(request, requestId) {
+  if (request.headers.get(REQUEST_ID_HEADER) === requestId) return request;
+  const headers = new Headers(request.headers);
+  headers.set(REQUEST_ID_HEADER, requestId);
+  return new Request(request, { headers });
+}
+
+/**
+ * Copy a response with the request id header set
+ */
+function withRequestId(response, requestId) {
+  const tagged = new Response(response.body, response);
+  tagged.headers.set(REQUEST_ID_HEADER, requestId);
+  return tagged;
+}
+
+// ==================== ERROR RESPONSES ====================
+// Every error the gateway produces has one shape:
+//   { "error": { "code", "message", "details", "requestId" } }
+// `code` is stable and meant for programs; `message` is for people and may
+// change. `details` holds anything else a client can act on (validation
+// errors, the missing scope, retryAfter...) or null. The fetch handler fills
+// in `requestId` on the way out, so handlers don't have to thread it through.
+// The one exception is POST /auth/device/token, which keeps the RFC 6749
+// { error, error_description } shape that OAuth clients expect.
+
+/**
+ * The standard error body
+ */
+function errorEnvelope(code, message, details = null) {
+  return { error: { code, message, details, requestId: null } };
+}
+
+/**
+ * Build an error response in the standard envelope
+ */
+function errorResponse(status, code, message, { details = null, headers = {} } = {}) {
+  return new Response(JSON.stringify(errorEnvelope(code, message, details)), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...corsHeaders,
+      ...securityHeaders(),
+      ...headers,
+    },
+  });
+}
+
+/**
+ * Parse a request body that must be a JSON object; returns { body } or { error }
+ * with the 400 response to send. Anything else thrown later is a real bug and
+ * is left to the fetch handler's 500.
+ */
+async function readJsonObject(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return { error: errorResponse(400, 'invalid_json', 'Request body must be valid JSON') };
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: errorResponse(400, 'invalid_request', 'Request body must be a JSON object') };
+  }
+  return { body };
+}
+
+/**
+ * Error code for an upstream status we pass through
+ */
+function upstreamErrorCode(status) {
+  switch (status) {
+    case 400: return 'invalid_request';
+    case 401: return 'unauthorized';
+    case 403: return 'forbidden';
+    case 404: return 'not_found';
+    case 429: return 'rate_limited';
+    default: return status >= 500 ? 'upstream_error' : 'upstream_rejected';
+  }
+}
+
+/**
+ * Rewrap an upstream error body in the standard envelope
+ */
+function upstreamErrorBody(status, body) {
+  let upstream = null;
+  try {
+    upstream = JSON.parse(body);
+  } catch {
+    // Not JSON; the status is all we have
+  }
+  const message = [upstream?.message, upstream?.error].find(value => typeof value === 'string')
+    || `The upstream API returned HTTP ${status}`;
+  return JSON.stringify(errorEnvelope(upstreamErrorCode(status), message, upstream && { upstream }));
+}
+
+/**
+ * Fill in the request id of an error envelope
+ */
+async function stampErrorRequestId(response, requestId) {
+  if (response.status < 400 || !response.headers.get('Content-Type')?.includes('application/json')) {
+    return response;
+  }
+  const text = await response.text();
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return new Response(text, response);
+  }
+  if (body?.error && typeof body.error === 'object') {
+    body.error.requestId = requestId;
+  }
+  return new Response(JSON.stringify(body), response);
+}
+
+// ==================== USAGE METERING ====================
+// Proxied requests are counted per app and hour: requests, errors, bytes, a
+// latency histogram (so percentiles can be merged across hours) and a per-route
+// breakdown. Counts are buffered in the isolate and merged into USAGE_KV
+// (`usage:<appId>:<YYYY-MM-DDTHH>`) every USAGE_FLUSH_INTERVAL_MS. Isolates
+// flushing the same hour at once can drop a few counts, so treat the totals as
+// close estimates. Without USAGE_KV the buffer itself is the store.
+
+const USAGE_LATENCY_BOUNDS_MS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const USAGE_FLUSH_INTERVAL_MS = 30000;
+const USAGE_FLUSH_MAX_REQUESTS = 100;
+const USAGE_RETENTION_DAYS = 35;
+
+const usageBuffer = new Map();
+let usageBufferedRequests = 0;
+let usageLastFlush = Date.now();
+
+/**
+ * Empty counters for an app/hour bucket (or one route within it)
+ */
+function emptyUsageCounters() {
+  return {
+    requests: 0,
+    errors: 0,
+    bytes: 0,
+    latency: new Array(USAGE_LATENCY_BOUNDS_MS.length + 1).fill(0),
+  };
+}
+
+/**
+ * Add one request (or another set of counters) into a set of counters
+ */
+function mergeUsageCounters(target, source) {
+  target.requests += source.requests;
+  target.errors += source.errors;
+  target.bytes += source.bytes;
+  source.latency.forEach((count, i) => { target.latency[i] += count; });
+  return target;
+}
+
+/**
+ * Merge a whole bucket (totals plus routes and statuses) into another
+ */
+function mergeUsageBucket(target, source) {
+  mergeUsageCounters(target, source);
+  for (const [route, counters] of Object.entries(source.routes)) {
+    target.routes[route] = mergeUsageCounters(target.routes[route] || emptyUsageCounters(), counters);
+  }
+  for (const [status, count] of Object.entries(source.statuses)) {
+    target.statuses[status] = (target.statuses[status] || 0) + count;
+  }
+  return target;
+}
+
+/**
+ * Estimate a latency percentile from histogram counts (upper bucket bound).
+ * Past the last bound there is no upper bound, so the last one is reported
+ * with `overflow` set: the true value is higher.
+ */
+function usagePercentile(latency, percentile) {
+  const total = latency.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return { value: null, overflow: false };
+  
+  const target = Math.ceil(total * percentile);
+  let seen = 0;
+  for (let i = 0; i < latency.length; i++) {
+    seen += latency[i];
+    if (seen >= target) {
+      const overflow = i >= USAGE_LATENCY_BOUNDS_MS.length;
+      return { value: USAGE_LATENCY_BOUNDS_MS[overflow ? USAGE_LATENCY_BOUNDS_MS.length - 1 : i], overflow };
+    }
+  }
+  return { value: null, overflow: false };
+}
+
+/**
+ * Counters as reported by /api/admin/usage
+ */
+function summarizeUsageCounters(counters) {
+  const [p50, p95, p99] = [0.5, 0.95, 0.99].map(percentile => usagePercentile(counters.latency, percentile));
+  return {
+    requests: counters.requests,
+    errors: counters.errors,
+    errorRate: counters.requests ? Math.round((counters.errors / counters.requests) * 10000) / 10000 : 0,
+    bytes: counters.bytes,
+    latencyMs: {
+      p50: p50.value,
+      p95: p95.value,
+      p99: p99.value,
+      // Which percentiles lie beyond the last bucket, so their value is only a lower bound
+      overflow: { p50: p50.overflow, p95: p95.overflow, p99: p99.overflow },
+    },
+  };
+}
+
+/**
+ * Record one gateway response for an app
+ */
+function recordUsage({ appId, route, status, durationMs = null, bytes = 0 }, env, ctx) {
+  const hour = new Date().toISOString().slice(0, 13);
+  const key = `${appId}|${hour}`;
+  if (!usageBuffer.has(key)) {
+    usageBuffer.set(key, { app: appId, hour, ...emptyUsageCounters(), routes: {}, statuses: {} });
+  }
+  
+  const request = emptyUsageCounters();
+  request.requests = 1;
+  request.errors = status >= 400 ? 1 : 0;
+  request.bytes = bytes;
+  if (durationMs !== null) {
+    const index = USAGE_LATENCY_BOUNDS_MS.findIndex(bound => durationMs <= bound);
+    request.latency[index === -1 ? USAGE_LATENCY_BOUNDS_MS.length : index] = 1;
+  }
+  
+  const bucket = usageBuffer.get(key);
+  mergeUsageBucket(bucket, { ...request, routes: { [route]: request }, statuses: { [status]: 1 } });
+  usageBufferedRequests++;
+  
+  if (!env?.USAGE_KV) {
+    pruneUsageBuffer();
+    return;
+  }
+  
+  if (usageBufferedRequests >= USAGE_FLUSH_MAX_REQUESTS || Date.now() - usageLastFlush >= USAGE_FLUSH_INTERVAL_MS) {
+    const flush = flushUsage(env).catch(e => logError('usage_flush_error', e));
+    ctx?.waitUntil?.(flush);
+  }
+}
+
+/**
+ * Drop in-memory buckets older than the retention window
+ */
+function pruneUsageBuffer() {
+  const cutoff = new Date(Date.now() - USAGE_RETENTION_DAYS * 86400000).toISOString().slice(0, 13);
+  for (const [key, bucket] of usageBuffer) {
+    if (bucket.hour < cutoff) usageBuffer.delete(key);
+  }
+}
+
+/**
+ * Merge buffered buckets into USAGE_KV
+ */
+async function flushUsage(env) {
+  if (!env?.USAGE_KV || usageBuffer.size === 0) return;
+  
+  const buckets = [...usageBuffer.values()];
+  usageBuffer.clear();
+  usageBufferedRequests = 0;
+  usageLastFlush = Date.now();
+  
+  for (const bucket of buckets) {
+    const key = `usage:${bucket.app}:${bucket.hour}`;
+    const stored = await env.USAGE_KV.get(key, 'json');
+    const merged = stored ? mergeUsageBucket(stored, bucket) : bucket;
+    await env.USAGE_KV.put(key, JSON.stringify(merged), {
+      expirationTtl: USAGE_RETENTION_DAYS * 86400,
+    });
+  }
+}
+
+/**
+ * Hourly buckets whose hour falls in [fromHour, toHour], optionally for one app
+ */
+async function readUsageBuckets(env, { app, fromHour, toHour }) {
+  const inRange = bucket => bucket.hour >= fromHour && bucket.hour <= toHour && (!app || bucket.app === app);
+  
+  if (!env?.USAGE_KV) {
+    return [...usageBuffer.values()].filter(inRange);
+  }
+  
+  // Report what this isolate has buffered too
+  await flushUsage(env);
+  
+  const buckets = [];
+  let cursor;
+  do {
+    const list = await env.USAGE_KV.list({ prefix: app ? `usage:${app}:` : 'usage:', cursor });
+    for (const key of list.keys) {
+      const hour = key.name.slice(key.name.lastIndexOf(':') + 1);
+      if (hour < fromHour || hour > toHour) continue;
+      const bucket = await env.USAGE_KV.get(key.name, 'json');
+      if (bucket && inRange(bucket)) buckets.push(bucket);
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+  return buckets;
+}
+
+// ==================== UPSTREAM CIRCUIT BREAKER ====================
+// After UPSTREAM_FAILURE_THRESHOLD consecutive failures (network errors,
+// timeouts or 5xx) the breaker opens and upstream calls are skipped for
+// UPSTREAM_COOLDOWN_MS. Then one trial request is let through (half-open):
+// success closes the breaker, failure re-opens it. State is per isolate.
+
+const UPSTREAM_TIMEOUT_MS = 10000;
+const UPSTREAM_FAILURE_THRESHOLD = 5;
+const UPSTREAM_COOLDOWN_MS = 30000;
+
+const upstreamCircuit = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInFlight: false,
+  lastFailureAt: null,
+  lastSuccessAt: null,
+  lastError: null,
+};
+
+/**
+ * Whether an upstream call may go ahead (claims the half-open trial slot)
+ */
+function upstreamCircuitAllows() {
+  if (upstreamCircuit.state === 'closed') return true;
+  
+  if (upstreamCircuit.state === 'open' && Date.now() - upstreamCircuit.openedAt >= UPSTREAM_COOLDOWN_MS) {
+    upstreamCircuit.state = 'half-open';
+  }
+  if (upstreamCircuit.state === 'half-open' && !upstreamCircuit.trialInFlight) {
+    upstreamCircuit.trialInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+function recordUpstreamSuccess() {
+  upstreamCircuit.state = 'closed';
+  upstreamCircuit.consecutiveFailures = 0;
+  upstreamCircuit.openedAt = null;
+  upstreamCircuit.trialInFlight = false;
+  upstreamCircuit.lastSuccessAt = Date.now();
+}
+
+function recordUpstreamFailure(reason) {
+  upstreamCircuit.consecutiveFailures++;
+  upstreamCircuit.trialInFlight = false;
+  upstreamCircuit.lastFailureAt = Date.now();
+  upstreamCircuit.lastError = reason;
+  
+  if (upstreamCircuit.state === 'half-open' || upstreamCircuit.consecutiveFailures >= UPSTREAM_FAILURE_THRESHOLD) {
+    upstreamCircuit.state = 'open';
+    upstreamCircuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * Seconds until an open breaker lets a trial request through
+ */
+function upstreamRetryAfter() {
+  if (upstreamCircuit.state !== 'open') return 0;
+  return Math.max(1, Math.ceil((upstreamCircuit.openedAt + UPSTREAM_COOLDOWN_MS - Date.now()) / 1000));
+}
+
+/**
+ * Breaker state as reported by the health endpoint
+ */
+function upstreamCircuitStatus() {
+  const toIso = ms => (ms ? new Date(ms).toISOString() : null);
+  return {
+    state: upstreamCircuit.state,
+    consecutiveFailures: upstreamCircuit.consecutiveFailures,
+    lastSuccessAt: toIso(upstreamCircuit.lastSuccessAt),
+    lastFailureAt: toIso(upstreamCircuit.lastFailureAt),
+    lastError: upstreamCircuit.lastError,
+    retryAt: upstreamCircuit.state === 'open' ? toIso(upstreamCircuit.openedAt + UPSTREAM_COOLDOWN_MS) : null,
+  };
+}
+
+// ==================== HEALTH CHECKS ====================
+// /api/health/live only says the isolate is serving requests. /api/health
+// (and /api/health/ready) probe each dependency and return 503 when a
+// critical one is down, so load balancers can take the gateway out of rotation.
+
+const HEALTH_PROBE_TIMEOUT_MS = 3000;
+// Readiness results are reused briefly so frequent checks don't hammer the upstream
+const HEALTH_CACHE_MS = 5000;
+const isolateStartedAt = Date.now();
+let lastReadiness = null;
+
+/**
+ * Run a dependency probe with a timeout, reporting its latency
+ */
+async function runHealthProbe(probe) {
+  const startTime = Date.now();
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error('Timeout')), HEALTH_PROBE_TIMEOUT_MS);
+  });
+  try {
+    const detail = await Promise.race([probe(), timeout]);
+    return { status: 'up', latencyMs: Date.now() - startTime, ...detail };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - startTime, error: error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Probe the upstream through the circuit breaker; an open breaker counts as down
+ */
+async function probeUpstream(env) {
+  const result = await runHealthProbe(async () => {
+    const { status } = await fetchUpstream(new URLSearchParams({ type: 'list', limit: '1' }), 'GET', env, { timeoutMs: HEALTH_PROBE_TIMEOUT_MS });
+    if (status >= 500) throw new Error(`HTTP ${status}`);
+    return { httpStatus: status };
+  });
+  return { ...result, critical: true, circuit: upstreamCircuitStatus() };
+}
+
+/**
+ * Probe a KV binding with a read; unbound namespaces report the in-memory fallback
+ */
+async function probeKv(kv, critical) {
+  if (!kv) return { status: 'up', backend: 'memory', critical: false };
+  const result = await runHealthProbe(async () => {
+    await kv.get('health:probe');
+    return {};
+  });
+  return { ...result, backend: 'kv', critical };
+}
+
+/**
+ * Check that every built-in quiz is in storage, seeding again if needed
+ */
+async function probeSeedQuizzes(env) {
+  return runHealthProbe(async () => {
+    await seedQuizzes(env);
+    const present = await Promise.all(SEED_QUIZZES.map(quiz => getQuiz(quiz.id, env)));
+    const missing = SEED_QUIZZES.filter((quiz, i) => !present[i]).map(quiz => quiz.id);
+    if (missing.length) throw new Error(`Missing seed quizzes: ${missing.join(', ')}`);
+    return { seeded: quizzesSeeded, count: SEED_QUIZZES.length };
+  });
+}
+
+/**
+ * Probe all dependencies. The upstream and QUIZ_KV are critical; the rest
+ * only mark the gateway as degraded.
+ */
+async function checkReadiness(env) {
+  if (lastReadiness && Date.now() - lastReadiness.checkedAt < HEALTH_CACHE_MS) {
+    return lastReadiness.report;
+  }
+  
+  const [upstream, quizKv, authKv, usageKv, rateLimitKv, seedQuizzesStatus] = await Promise.all([
+    probeUpstream(env),
+    probeKv(env?.QUIZ_KV, true),
+    probeKv(env?.AUTH_KV, false),
+    probeKv(env?.USAGE_KV, false),
+    probeKv(env?.RATE_LIMIT_KV, false),
+    probeSeedQuizzes(env),
+  ]);
+  const dependencies = {
+    upstream,
+    quizKv,
+    authKv,
+    usageKv,
+    rateLimitKv,
+    rateLimiter: { status: 'up', backend: env?.RATE_LIMITER ? 'durable-object' : env?.RATE_LIMIT_KV ? 'kv' : 'memory', critical: false },
+  };
+  
+  const down = Object.values(dependencies).filter(dep => dep.status === 'down');
+  const status = down.some(dep => dep.critical)
+    ? 'unhealthy'
+    : down.length || seedQuizzesStatus.status === 'down' || upstream.circuit.state !== 'closed' ? 'degraded' : 'healthy';
+  
+  const report = { status, dependencies, seedQuizzes: seedQuizzesStatus };
+  lastReadiness = { checkedAt: Date.now(), report };
+  return report;
+}
+
+/**
+ * Handle liveness check (no dependency probes)
+ */
+function handleHealthLive() {
+  return new Response(JSON.stringify({
+    status: 'alive',
+    version: GATEWAY_VERSION,
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.floor((Date.now() - isolateStartedAt) / 1000),
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache',
+      ...corsHeaders,
+      ...securityHeaders(),
+    },
+  });
+}
+
+/**
+ * Handle readiness check
+ */
+async function handleHealth(env) {
+  const report = await checkReadiness(env);
+  return new Response(JSON.stringify({
+    status: report.status,
+    ready: report.status !== 'unhealthy',
+    version: GATEWAY_VERSION,
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.floor((Date.now() - isolateStartedAt) / 1000),
+    dependencies: report.dependencies,
+    seedQuizzes: report.seedQuizzes,
+  }), {
+    status: report.status === 'unhealthy' ? 503 : 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache',
+      ...corsHeaders,
+      ...securityHeaders(),
+    },
+  });
+}
+
+// ==================== RESPONSE CACHE ====================
+// Upstream GET responses are cached at the edge, keyed by their normalized
+// query, and served stale-while-revalidate. The backend is pluggable: an
+// injected env.RESPONSE_CACHE (same match/put/delete shape, handy in tests),
+// the Workers Cache API, or an in-memory map when neither is available.
+// Entries are kept for RESPONSE_CACHE_STALE_IF_ERROR past their stale window
+// so a last good copy can be served while the upstream is down.
+// Counter increments move the note's lookups (whatever else their query
+// carries) and all list keys to a new generation. Generations are timestamps
+// stored in the cache itself, so every isolate sharing it sees them. The
+// Cache API is per colo, though, so other locations may serve old counts for
+// up to the max-age plus stale window before refreshing.
+
+const RESPONSE_CACHE_ORIGIN = 'https://opennotes-gateway.cache';
+const RESPONSE_CACHE_MEMORY_MAX = 500;
+const RESPONSE_CACHE_STALE_IF_ERROR = 86400;
+const RESPONSE_CACHE_POLICIES = {
+  list: { maxAge: 60, staleWhileRevalidate: 120 },
+  default: { maxAge: 300, staleWhileRevalidate: 600 },
+};
+
+const responseCacheStore = new Map();
+const responseCacheRevalidating = new Set();
+
+/**
+ * In-memory cache (fallback when the Cache API is unavailable)
+ */
+const memoryResponseCache = {
+  async match(key) {
+    const entry = responseCacheStore.get(key);
+    if (!entry) return null;
+    if (Date.now() > entry.expiresAt) {
+      responseCacheStore.delete(key);
+      return null;
+    }
+    return entry;
+  },
+  async put(key, entry, ttlSeconds) {
+    responseCacheStore.delete(key);
+    responseCacheStore.set(key, { ...entry, expiresAt: Date.now() + ttlSeconds * 1000 });
+    // Evict the oldest entries (Map keeps insertion order)
+    while (responseCacheStore.size > RESPONSE_CACHE_MEMORY_MAX) {
+      responseCacheStore.delete(responseCacheStore.keys().next().value);
+    }
+  },
+  async delete(key) {
+    responseCacheStore.delete(key);
+  },
+};
+
+/**
+ * Adapter storing entries as Responses in a Workers Cache
+ */
+function cacheApiResponseCache(cache) {
+  return {
+    async match(key) {
+      const response = await cache.match(key);
+      if (!response) return null;
+      return {
+        status: response.status,
+        body: await response.text(),
+        storedAt: Number(response.headers.get('X-Cached-At')) || 0,
+      };
+    },
+    async put(key, entry, ttlSeconds) {
+      await cache.put(key, new Response(entry.body, {
+        status: entry.status,
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `public, max-age=${ttlSeconds}`,
+          'X-Cached-At': String(entry.storedAt),
+        },
+      }));
+    },
+    async delete(key) {
+      await cache.delete(key);
+    },
+  };
+}
+
+/**
+ * Pick the response cache backend
+ */
+function getResponseCache(env) {
+  if (env?.RESPONSE_CACHE) return env.RESPONSE_CACHE;
+  if (typeof caches !== 'undefined' && caches.default) return cacheApiResponseCache(caches.default);
+  return memoryResponseCache;
+}
+
+/**
+ * Freshness policy for an upstream query
+ */
+function responseCachePolicy(params) {
+  return params.get('type') === 'list' ? RESPONSE_CACHE_POLICIES.list : RESPONSE_CACHE_POLICIES.default;
+}
+
+/**
+ * Cache key holding a generation: `list` for every list, or `note/<ref>` for
+ * one note's lookups by noteId or name
+ */
+function responseCacheGenerationKey(scope) {
+  return `${RESPONSE_CACHE_ORIGIN}/_generation/${scope}`;
+}
+
+/**
+ * The generations a query's key depends on
+ */
+function responseCacheScopes(params) {
+  if (params.get('type') === 'list') return ['list'];
+  return ['noteId', 'name']
+    .map(field => params.get(field))
+    .filter(Boolean)
+    .map(ref => `note/${encodeURIComponent(ref)}`);
+}
+
+/**
+ * Cache key for an upstream query: params sorted, empty values dropped, and
+ * tagged with the generations of the lists or note it reads
+ */
+async function responseCacheKey(params, cache) {
+  const normalized = new URLSearchParams(
+    [...params.entries()]
+      .filter(([, value]) => value !== '')
+      .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue))
+  );
+  const generations = await Promise.all(responseCacheScopes(params).map(async scope => {
+    const entry = await cache.match(responseCacheGenerationKey(scope));
+    return entry ? entry.body : '0';
+  }));
+  if (generations.some(generation => generation !== '0')) normalized.set('_gen', generations.join('-'));
+  return `${RESPONSE_CACHE_ORIGIN}/?${normalized}`;
+}
+
+/**
+ * How long to keep an entry: fresh + stale-while-revalidate + stale-if-error
+ */
+function responseCacheTtl(policy) {
+  return policy.maxAge + policy.staleWhileRevalidate + RESPONSE_CACHE_STALE_IF_ERROR;
+}
+
+/**
+ * Stop serving cached copies of a note (by noteId or name) and of every list
+ * after its counters change; the old entries age out. A generation outlives
+ * every entry keyed before it, so when it expires no old entry can resurface.
+ */
+async function invalidateNoteCache(noteRef, cache) {
+  const now = Date.now();
+  const ttl = responseCacheTtl(RESPONSE_CACHE_POLICIES.default);
+  await Promise.all(['list', `note/${encodeURIComponent(noteRef)}`].map(scope =>
+    cache.put(responseCacheGenerationKey(scope), { status: 200, body: String(now), storedAt: now }, ttl)
+  ));
+}
+
+/**
+ * Refresh a stale entry in the background (once per key per isolate)
+ */
+function revalidateResponseCache(key, params, env, ctx) {
+  if (responseCacheRevalidating.has(key)) return;
+  responseCacheRevalidating.add(key);
+  
+  const refresh = fetchUpstream(params, 'GET', env)
+    .then(upstream => {
+      if (upstream.status === 200) {
+        const policy = responseCachePolicy(params);
+        return getResponseCache(env).put(key, { ...upstream, storedAt: Date.now() }, responseCacheTtl(policy));
+      }
+    })
+    .catch(e => logError('cache_revalidation_error', e))
+    .finally(() => responseCacheRevalidating.delete(key));
+  ctx?.waitUntil?.(refresh);
+}
+
+/**
+ * Call the upstream OpenNotes API with the real API key, through the circuit
+ * breaker. Throws when the breaker is open, on timeout or network failure.
+ */
+async function fetchUpstream(params, method, env, { timeoutMs = UPSTREAM_TIMEOUT_MS, requestId = null } = {}) {
+  if (!upstreamCircuitAllows()) {
+    const error = new Error('Upstream circuit open');
+    error.circuitOpen = true;
+    throw error;
+  }
+  
+  const targetUrl = new URL(OPENNOTES_API);
+  
+  // Copy search params
+  params.forEach((value, key) => {
+    targetUrl.searchParams.set(key, value);
+  });
+  
+  // Build proxy request
+  const proxyRequest = new Request(targetUrl.toString(), {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': env.OPENNOTES_API_KEY,
+      'Origin': 'https://opennotes.pages.dev',
+      'Referer': 'https://opennotes.pages.dev/',
+      ...(requestId && { [REQUEST_ID_HEADER]: requestId }),
+    },
+  });
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(proxyRequest, { signal: controller.signal });
+    const body = await response.text();
+    if (response.status >= 500) recordUpstreamFailure(`HTTP ${response.status}`);
+    else recordUpstreamSuccess();
+    return { status: response.status, body };
+  } catch (error) {
+    recordUpstreamFailure(error.name === 'AbortError' ? 'Timeout' : error.message);
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Proxy request to OpenNotes API
+ */
+async function proxyToOpenNotes(request, env, appId, rateLimit = null, ctx = null) {
+  const startTime = Date.now();
+  const url = new URL(request.url);
+  const route = url.pathname === '/' ? `/?type=${url.searchParams.get('type')}` : rateLimitRoute(url.pathname);
+  const params = url.searchParams;
+  const counter = params.get('counter');
+  const requestId = request.headers.get(REQUEST_ID_HEADER);
+  
+  // Determine cache strategy based on request type
+  const policy = responseCachePolicy(params);
+  const cacheable = request.method === 'GET' && !counter;
+  const cacheControl = cacheable
+    ? `public, max-age=${policy.maxAge}, stale-while-revalidate=${policy.staleWhileRevalidate}, stale-if-error=${RESPONSE_CACHE_STALE_IF_ERROR}`
+    : 'no-store';
+  
+  const respond = (status, body, cacheStatus, age = null, extraHeaders = {}) => {
+    const duration = Date.now() - startTime;
+    recordUsage({
+      appId,
+      route,
+      status,
+      durationMs: duration,
+      bytes: new TextEncoder().encode(body).byteLength,
+    }, env, ctx);
+    
+    return new Response(body, {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': status === 200 ? cacheControl : 'no-store',
+        ...corsHeaders,
+        ...securityHeaders(),
+        ...rateLimitHeaders(rateLimit),
+        'X-Cache': cacheStatus,
+        ...(age !== null && { 'Age': String(age) }),
+        'X-App-Id': appId,
+        'X-Response-Time': `${duration}ms`,
+        'X-Powered-By': 'OpenNotesAPI Gateway',
+        ...extraHeaders,
+      },
+    });
+  };
+  
+  // Last good copy, served when the upstream fails (RFC 7234 warning 111)
+  const serveStale = (cached) => respond(cached.status, cached.body, 'STALE', Math.floor((Date.now() - cached.storedAt) / 1000), {
+    'Warning': '111 - "Revalidation Failed"',
+    'X-Stale': 'true',
+  });
+  
+  const cache = getResponseCache(env);
+  let cacheKey = null;
+  let cached = null;
+  
+  if (cacheable) {
+    try {
+      cacheKey = await responseCacheKey(params, cache);
+      cached = await cache.match(cacheKey);
+      if (cached) {
+        const age = Math.floor((Date.now() - cached.storedAt) / 1000);
+        if (age < policy.maxAge) {
+          return respond(cached.status, cached.body, 'HIT', age);
+        }
+        if (age < policy.maxAge + policy.staleWhileRevalidate) {
+          revalidateResponseCache(cacheKey, params, env, ctx);
+          return respond(cached.status, cached.body, 'STALE', age);
+        }
+      }
+    } catch (e) {
+      // A broken cache only costs us the upstream call
+      logError('cache_read_error', e, { requestId });
+    }
+  }
+  
+  try {
+    const upstream = await fetchUpstream(params, request.method, env, { requestId });
+    
+    if (upstream.status >= 500 && cached) {
+      return serveStale(cached);
+    }
+    
+    if (cacheKey && upstream.status === 200) {
+      const store = cache.put(cacheKey, { ...upstream, storedAt: Date.now() }, responseCacheTtl(policy))
+        .catch(e => logError('cache_write_error', e, { requestId }));
+      ctx?.waitUntil?.(store);
+    }
+    
+    // Counts changed: don't keep serving the old ones
+    const countedNote = params.get('noteId') || params.get('name');
+    if (counter && countedNote && upstream.status < 400) {
+      await invalidateNoteCache(countedNote, cache).catch(e => logError('cache_invalidation_error', e, { requestId }));
+    }
+    
+    const body = upstream.status >= 400 ? upstreamErrorBody(upstream.status, upstream.body) : upstream.body;
+    return respond(upstream.status, body, cacheable ? 'MISS' : 'BYPASS');
+  } catch (error) {
+    if (cached) {
+      return serveStale(cached);
+    }
+    
+    const duration = Date.now() - startTime;
+    const status = error.circuitOpen ? 503 : 502;
+    logError('upstream_error', error, { requestId, appId, route });
+    recordUsage({ appId, route, status, durationMs: duration }, env, ctx);
+    return errorResponse(status, error.circuitOpen ? 'upstream_unavailable' : 'upstream_error',
+      'The upstream service is temporarily unavailable', {
+        headers: {
+          ...rateLimitHeaders(rateLimit),
+          ...(error.circuitOpen && { 'Retry-After': String(upstreamRetryAfter()) }),
+          'X-Response-Time': `${duration}ms`,
+        },
+      });
+  }
+}
+
+/**
+ * Handle API info endpoint
+ */
+function handleApiInfo() {
+  return new Response(JSON.stringify({
+    name: 'OpenNotes API Gateway',
+    version: GATEWAY_VERSION,
+    status: 'operational',
+    endpoints: apiInfoEndpoints(),
+    openapi: '/openapi.json',
+    quiz: {
+      description: 'Quiz API for creating and accessing IB study quizzes',
+      features: ['MCQ with multiple correct answers', 'True/false', 'Fill in the blank', 'Matching pairs', 'FRQ with accepted answers', 'SVG diagrams', 'LaTeX support', 'Multi-quiz shuffle'],
+    },
+    documentation: 'https://nagusamecs.github.io/OpenNotesAPI/docs.html',
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders,
+      ...securityHeaders(),
+    },
+  });
+}
+
+/**
+ * Proxy the upstream /auth/login endpoint.
+ * Gets the Google OAuth URL from the upstream and redirects the user there
+ * WITHOUT modifying the redirect_uri (since only the upstream's callback is
+ * registered in Google's OAuth console).
+ */
+async function handleAuthLoginProxy(request) {
+  try {
+    const resp = await fetch(`${UPSTREAM_API}/auth/login`, {
+      method: 'GET',
+      headers: {
+        'Referer': 'https://opennotes.pages.dev/',
+        'User-Agent': request.headers.get('User-Agent') || 'Mozilla/5.0',
+      },
+      redirect: 'manual',
+    });
+
+    if (resp.status === 302 || resp.status === 301) {
+      const location = resp.headers.get('Location');
+      // Pass the Google OAuth URL through unchanged
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': location, ...corsHeaders },
+      });
+    }
+
+    return new Response(resp.body, {
+      status: resp.status,
+      headers: { 'Content-Type': resp.headers.get('Content-Type') || 'text/plain', ...corsHeaders },
+    });
+  } catch (e) {
+    return errorResponse(502, 'auth_proxy_failed', 'The sign-in service could not be reached', {
+      details: { reason: e.message },
+    });
+  }
+}
+
+/**
+ * Handle the OAuth callback — no longer used since we don't rewrite redirect_uri.
+ * Kept as a fallback that just returns helpful info.
+ */
+async function handleAuthCallback(request) {
+  return new Response(JSON.stringify({
+    message: 'This endpoint is not used directly. OAuth callback is handled by the upstream at open-notes.tebby2008-li.workers.dev/auth/callback',
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Create an auth code for a token (called from auth.html)
+ */
+async function handleCreateAuthCode(request, env) {
+  // Validate origin
+  if (!isAllowedAuthOrigin(request)) {
+    return errorResponse(403, 'forbidden', 'This endpoint is only accessible from the OpenNotes auth page');
+  }
+  
+  const { body, error } = await readJsonObject(request);
+  if (error) return error;
+  
+  const { token, user } = body;
+  
+  if (typeof token !== 'string' || !token.trim() || token.length > AUTH_TOKEN_MAX_LENGTH) {
+    return errorResponse(400, 'validation_failed', 'Token is required', {
+      details: { errors: [`token must be a non-empty string of at most ${AUTH_TOKEN_MAX_LENGTH} characters`] },
+    });
+  }
+  
+  const secret = getAuthCodeSecret(env);
+  if (!secret) return authNotConfiguredResponse();
+  
+  const rejected = await rejectUnverifiedToken(token, env);
+  if (rejected) return rejected;
+  
+  // Generate unique 6-digit code
+  let code;
+  let codeHash;
+  do {
+    code = generateAuthCode();
+    codeHash = await hashAuthCode(code, secret);
+  } while (await getAuthCode(codeHash, env));
+  
+  // Store with 5 minute expiry, noting the misses so far so only later ones count against it
+  await putAuthCode(codeHash, {
+    token: await sealAuthToken(token, code, secret),
+    user: user || null,
+    missesAtIssue: await getAuthMissCount(env),
+    expiresAt: Date.now() + AUTH_CODE_TTL_SECONDS * 1000,
+  }, env);
+  
+  return new Response(JSON.stringify({
+    code,
+    expiresIn: AUTH_CODE_TTL_SECONDS,
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Exchange auth code for token (called from desktop app)
+ */
+async function handleExchangeCode(request, env) {
+  const url = new URL(request.url);
+  const code = url.searchParams.get('code');
+  const appSecret = request.headers.get('X-Desktop-App');
+  
+  // Validate desktop app header
+  if (appSecret !== DESKTOP_APP_SECRET) {
+    return errorResponse(403, 'forbidden', 'This endpoint is only accessible from the OpenNotes Desktop app');
+  }
+  
+  if (!code || !/^\d{6}$/.test(code)) {
+    return errorResponse(400, 'validation_failed', 'Valid 6-digit code is required', {
+      details: { errors: ['code must be 6 digits'] },
+    });
+  }
+  
+  const secret = getAuthCodeSecret(env);
+  if (!secret) return authNotConfiguredResponse();
+  
+  // Lock out clients that keep guessing
+  const clientHash = await hashToken(request.headers.get('CF-Connecting-IP') || 'unknown');
+  const [failures, missCount] = await Promise.all([
+    getAuthFailures(clientHash, env),
+    getAuthMissCount(env),
+  ]);
+  if (failures.count >= AUTH_MAX_FAILED_ATTEMPTS) {
+    const retryAfter = Math.max(1, Math.ceil((failures.expiresAt - Date.now()) / 1000));
+    return errorResponse(429, 'too_many_attempts', 'Too many invalid codes. Request a new code and try again later.', {
+      details: { retryAfter },
+      headers: { 'Retry-After': retryAfter.toString() },
+    });
+  }
+  
+  const codeHash = await hashAuthCode(code, secret);
+  const data = await getAuthCode(codeHash, env);
+  
+  if (!data || Date.now() > data.expiresAt) {
+    const [recorded] = await Promise.all([
+      recordAuthFailure(clientHash, failures, env),
+      recordAuthMiss(missCount, env),
+    ]);
+    return errorResponse(404, 'invalid_code', 'Invalid or expired code', {
+      details: { attemptsRemaining: Math.max(0, AUTH_MAX_FAILED_ATTEMPTS - recorded.count) },
+    });
+  }
+  
+  // Codes are single use, and a code that has outlived too many wrong guesses
+  // may have been found by one, so it is burned rather than exchanged
+  await deleteAuthCode(codeHash, env);
+  if (missCount - (data.missesAtIssue || 0) >= AUTH_CODE_MAX_MISSES) {
+    return errorResponse(404, 'invalid_code', 'Invalid or expired code. Request a new code and try again.');
+  }
+  await clearAuthFailures(clientHash, env);
+  
+  const token = await openAuthToken(data.token, code, secret);
+  
+  return new Response(JSON.stringify({
+    token,
+    user: data.user,
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Check a token from the auth page with the upstream before it is handed to the
+ * desktop app, since the Origin check alone is easy to spoof. Returns an error
+ * response, or null if the upstream knows the token.
+ */
+async function rejectUnverifiedToken(token, env) {
+  let user;
+  try {
+    user = await verifyUserToken(token, env);
+  } catch (e) {
+    return errorResponse(502, 'auth_proxy_failed', 'The sign-in service could not be reached', {
+      details: { reason: e.message },
+    });
+  }
+  return user ? null : errorResponse(401, 'unauthorized', 'The sign-in service did not accept this token');
+}
+
+/**
+ * Whether a request comes from one of the OpenNotes auth pages
+ */
+function isAllowedAuthOrigin(request) {
+  const origin = request.headers.get('Origin') || '';
+  const referer = request.headers.get('Referer') || '';
+  
+  return ALLOWED_AUTH_ORIGINS.some(allowed => 
+    origin.startsWith(allowed) || referer.startsWith(allowed)
+  );
+}
+
+/**
+ * Read an OAuth-style request body (form-encoded per RFC 8628, or JSON)
+ */
+async function readOAuthBody(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(await request.text()));
+  }
+  const body = await request.json().catch(() => null);
+  return body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+}
+
+/**
+ * RFC 8628 / RFC 6749 error response for the device token endpoint
+ */
+function deviceTokenError(error, description) {
+  return new Response(JSON.stringify({ error, error_description: description }), {
+    status: 400,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Handle POST /auth/device/code - Start a device authorization (desktop app)
+ */
+async function handleDeviceCode(request, env) {
+  const secret = getAuthCodeSecret(env);
+  if (!secret) return authNotConfiguredResponse();
+  
+  const deviceCode = [...crypto.getRandomValues(new Uint8Array(32))]
+    .map(b => b.toString(16).padStart(2, '0')).join('');
+  const deviceHash = await hashAuthCode(deviceCode, secret);
+  
+  // Retry on the (unlikely) chance the user code is already pending
+  let userCode;
+  let userHash;
+  do {
+    userCode = generateUserCode();
+    userHash = await hashAuthCode(userCode, secret);
+  } while (await getDeviceRecord(`devuser:${userHash}`, env));
+  
+  const expiresAt = Date.now() + DEVICE_CODE_TTL_SECONDS * 1000;
+  await putDeviceRecord(`device:${deviceHash}`, {
+    userCode: await sealAuthToken(userCode, deviceCode, secret),
+    status: 'pending',
+    interval: DEVICE_POLL_INTERVAL_SECONDS,
+    lastPolledAt: 0,
+    expiresAt,
+  }, env);
+  await putDeviceRecord(`devuser:${userHash}`, { deviceHash, expiresAt }, env);
+  
+  return new Response(JSON.stringify({
+    device_code: deviceCode,
+    user_code: userCode,
+    verification_uri: DEVICE_VERIFICATION_URI,
+    verification_uri_complete: `${DEVICE_VERIFICATION_URI}?user_code=${encodeURIComponent(userCode)}`,
+    expires_in: DEVICE_CODE_TTL_SECONDS,
+    interval: DEVICE_POLL_INTERVAL_SECONDS,
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle POST /auth/device/approve - Approve or deny a user code (from auth.html)
+ */
+async function handleDeviceApprove(request, env) {
+  if (!isAllowedAuthOrigin(request)) {
+    return errorResponse(403, 'forbidden', 'This endpoint is only accessible from the OpenNotes auth page');
+  }
+  
+  const { body, error } = await readJsonObject(request);
+  if (error) return error;
+  
+  const userCode = normalizeUserCode(body.user_code);
+  const approve = body.approve !== false;
+  const errors = [];
+  if (!userCode) {
+    errors.push('user_code must be 8 letters (e.g. BCDF-GHJK)');
+  }
+  if (approve && (typeof body.token !== 'string' || !body.token.trim() || body.token.length > AUTH_TOKEN_MAX_LENGTH)) {
+    errors.push(`token must be a non-empty string of at most ${AUTH_TOKEN_MAX_LENGTH} characters to approve`);
+  }
+  if (errors.length > 0) {
+    return errorResponse(400, 'validation_failed', 'Validation failed', { details: { errors } });
+  }
+  
+  const secret = getAuthCodeSecret(env);
+  if (!secret) return authNotConfiguredResponse();
+  
+  // Same brute-force lockout as the 6-digit exchange
+  const clientHash = await hashToken(request.headers.get('CF-Connecting-IP') || 'unknown');
+  const failures = await getAuthFailures(clientHash, env);
+  if (failures.count >= AUTH_MAX_FAILED_ATTEMPTS) {
+    const retryAfter = Math.max(1, Math.ceil((failures.expiresAt - Date.now()) / 1000));
+    return errorResponse(429, 'too_many_attempts', 'Too many invalid codes. Try again later.', {
+      details: { retryAfter },
+      headers: { 'Retry-After': retryAfter.toString() },
+    });
+  }
+  
+  if (approve) {
+    const rejected = await rejectUnverifiedToken(body.token, env);
+    if (rejected) return rejected;
+  }
+  
+  const userKey = `devuser:${await hashAuthCode(userCode, secret)}`;
+  const pointer = await getDeviceRecord(userKey, env);
+  const deviceKey = pointer && `device:${pointer.deviceHash}`;
+  const record = deviceKey && await getDeviceRecord(deviceKey, env);
+  
+  if (!record || Date.now() > record.expiresAt || record.status !== 'pending') {
+    const recorded = await recordAuthFailure(clientHash, failures, env);
+    return errorResponse(404, 'invalid_code', 'Invalid or expired code', {
+      details: { attemptsRemaining: Math.max(0, AUTH_MAX_FAILED_ATTEMPTS - recorded.count) },
+    });
+  }
+  
+  record.status = approve ? 'approved' : 'denied';
+  if (approve) {
+    record.token = await sealAuthToken(body.token, userCode, secret);
+    record.user = body.user || null;
+  }
+  await putDeviceRecord(deviceKey, record, env);
+  await deleteDeviceRecord(userKey, env);
+  await clearAuthFailures(clientHash, env);
+  
+  return new Response(JSON.stringify({ success: true, status: record.status }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle POST /auth/device/token - Poll for the device's token (desktop app)
+ */
+async function handleDeviceToken(request, env) {
+  const body = await readOAuthBody(request);
+  
+  if (body.grant_type !== DEVICE_GRANT_TYPE) {
+    return deviceTokenError('unsupported_grant_type', `grant_type must be ${DEVICE_GRANT_TYPE}`);
+  }
+  if (!body.device_code) {
+    return deviceTokenError('invalid_request', 'device_code is required');
+  }
+  
+  const secret = getAuthCodeSecret(env);
+  if (!secret) return authNotConfiguredResponse();
+  
+  const deviceKey = `device:${await hashAuthCode(body.device_code, secret)}`;
+  const record = await getDeviceRecord(deviceKey, env);
+  
+  if (!record) {
+    return deviceTokenError('invalid_grant', 'Unknown device_code');
+  }
+  if (Date.now() > record.expiresAt) {
+    await deleteDeviceRecord(deviceKey, env);
+    return deviceTokenError('expired_token', 'The device code has expired; start again');
+  }
+  
+  // Polling faster than the interval earns a longer interval
+  const now = Date.now();
+  if (record.lastPolledAt && now - record.lastPolledAt < record.interval * 1000) {
+    record.interval += DEVICE_SLOW_DOWN_SECONDS;
+    record.lastPolledAt = now;
+    await putDeviceRecord(deviceKey, record, env);
+    return deviceTokenError('slow_down', `Poll at most every ${record.interval} seconds`);
+  }
+  
+  if (record.status === 'denied') {
+    await deleteDeviceRecord(deviceKey, env);
+    return deviceTokenError('access_denied', 'The sign-in request was denied');
+  }
+  
+  if (record.status !== 'approved') {
+    record.lastPolledAt = now;
+    await putDeviceRecord(deviceKey, record, env);
+    return deviceTokenError('authorization_pending', 'Waiting for the user to sign in');
+  }
+  
+  const userCode = await openAuthToken(record.userCode, body.device_code, secret);
+  const token = await openAuthToken(record.token, userCode, secret);
+  await deleteDeviceRecord(deviceKey, env);
+  
+  return new Response(JSON.stringify({
+    access_token: token,
+    token_type: 'Bearer',
+    user: record.user,
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders },
+  });
+}
+
+// ==================== NOTE COUNTERS ====================
+// POST /api/notes/:id/views and /downloads. Each client counts once per note
+// per window, so refreshes and double clicks don't inflate the counts. Clients
+// are identified by X-Client-Id when sent, otherwise by IP and user agent.
+
+const NOTE_COUNTERS = ['views', 'downloads'];
+// Seconds before the same client can count again
+const COUNTER_DEDUP_SECONDS = { views: 1800, downloads: 86400 };
+// In-memory dedup marks (for dev/demo; bind COUNTER_KV in production)
+const counterDedupStore = new Map();
+
+/**
+ * Hash identifying one client's count of one note
+ */
+async function counterDedupKey(noteId, counter, appId, request) {
+  const client = request.headers.get('X-Client-Id')
+    || `${request.headers.get('CF-Connecting-IP') || 'unknown'}|${request.headers.get('User-Agent') || ''}`;
+  return `counted:${counter}:${await hashToken(`${appId}|${client}|${noteId}`)}`;
+}
+
+/**
+ * Whether this client already counted the note in the current window
+ */
+async function hasCounted(key, env) {
+  if (env?.COUNTER_KV) {
+    return (await env.COUNTER_KV.get(key)) !== null;
+  }
+  const expiresAt = counterDedupStore.get(key);
+  if (expiresAt && expiresAt <= Date.now()) {
+    counterDedupStore.delete(key);
+    return false;
+  }
+  return !!expiresAt;
+}
+
+/**
+ * Mark a count for the dedup window
+ */
+async function markCounted(key, counter, env) {
+  const ttl = COUNTER_DEDUP_SECONDS[counter];
+  if (env?.COUNTER_KV) {
+    await env.COUNTER_KV.put(key, '1', { expirationTtl: ttl });
+  } else {
+    counterDedupStore.set(key, Date.now() + ttl * 1000);
+  }
+}
+
+/**
+ * Forget a mark so a count the upstream rejected can be retried
+ */
+async function unmarkCounted(key, env) {
+  if (env?.COUNTER_KV) {
+    await env.COUNTER_KV.delete(key);
+  } else {
+    counterDedupStore.delete(key);
+  }
+}
+
+/**
+ * Increment a note's views or downloads, once per client per window.
+ * Duplicates get a 200 with `counted: false` and are not sent upstream.
+ * `idParam` is the upstream parameter naming the note (legacy clients send `name`).
+ */
+async function handleNoteCounter(noteId, counter, request, env, appId, rateLimit = null, ctx = null, { idParam = 'noteId' } = {}) {
+  const startTime = Date.now();
+  const route = `/api/notes/:id/${counter}`;
+  
+  if (!noteId || !NOTE_COUNTERS.includes(counter)) {
+    return errorResponse(400, 'invalid_request', `A note ID and a counter (${NOTE_COUNTERS.join(' or ')}) are required`);
+  }
+  
+  const key = await counterDedupKey(noteId, counter, appId, request);
+  if (await hasCounted(key, env)) {
+    recordUsage({ appId, route, status: 200, durationMs: Date.now() - startTime }, env, ctx);
+    return new Response(JSON.stringify({ noteId, counter, counted: false }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        ...corsHeaders,
+        ...securityHeaders(),
+        ...rateLimitHeaders(rateLimit),
+        'X-Counter-Deduplicated': 'true',
+      },
+    });
+  }
+  
+  await markCounted(key, counter, env);
+  
+  const upstreamUrl = new URL(request.url);
+  upstreamUrl.search = new URLSearchParams({ type: 'note', [idParam]: noteId, counter }).toString();
+  const response = await proxyToOpenNotes(new Request(upstreamUrl.toString(), { method: 'POST', headers: request.headers }), env, appId, rateLimit, ctx);
+  if (!response.ok) {
+    await unmarkCounted(key, env);
+  }
+  response.headers.set('X-Counter-Deduplicated', 'false');
+  return response;
+}
+
+/**
+ * Count from a desktop passthrough query, forwarding `noteId=` or `name=` as sent
+ */
+function handleNoteCounterQuery(url, request, env, ctx) {
+  const idParam = url.searchParams.get('noteId') ? 'noteId' : 'name';
+  return handleNoteCounter(url.searchParams.get(idParam), url.searchParams.get('counter'), request, env, 'desktop-app', null, ctx, { idParam });
+}
+
+// ==================== SEARCH INDEX ====================
+// /api/search ranks notes in the gateway, so clients no longer download the
+// whole list to score it. The index covers titles, names, authors and formats.
+// It is built from the upstream list and kept per isolate for
+// SEARCH_INDEX_TTL_MS, then rebuilt in the background while the old one keeps
+// serving. The crawled notes also go into the response cache, so a cold
+// isolate can skip the crawl.
+
+const SEARCH_INDEX_TTL_MS = 5 * 60 * 1000;
+const SEARCH_INDEX_PAGE_SIZE = 500;
+const SEARCH_INDEX_MAX_NOTES = 10000;
+const SEARCH_INDEX_CACHE_KEY = `${RESPONSE_CACHE_ORIGIN}/search-index`;
+
+// Page size limits for GET /api/search
+const SEARCH_PAGE_DEFAULT = 20;
+const SEARCH_PAGE_MAX = 100;
+// Matches the sort menu in js/notes-browser.js ('upd' is accepted for 'updated')
+const SEARCH_SORTS = ['relevance', 'views', 'downloads', 'updated', 'name', 'name-desc', 'size', 'size-asc', 'title'];
+const SEARCH_SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+// Score for a whole-word match in each field; prefix matches score half
+const SEARCH_FIELD_WEIGHTS = { title: 10, name: 6, author: 4, format: 2 };
+// Most values returned per facet
+const SEARCH_FACET_LIMIT = 20;
+
+let searchIndex = null;
+let searchIndexBuilding = null;
+
+/**
+ * Lowercase words and numbers in a string
+ */
+function searchTokens(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * The indexed fields of an upstream note
+ */
+function searchFields(note) {
+  return {
+    title: String(note.title || ''),
+    name: String(note.name || ''),
+    author: String(note.auth || note.author || ''),
+    format: String(note.fmt || note.format || ''),
+  };
+}
+
+/**
+ * Build an inverted index (term -> note -> score) over a list of notes
+ */
+function buildSearchIndex(notes, builtAt) {
+  const docs = notes.map(note => ({ note, fields: searchFields(note) }));
+  const postings = new Map();
+  
+  docs.forEach((doc, i) => {
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+      for (const term of new Set(searchTokens(doc.fields[field]))) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const scores = postings.get(term);
+        scores.set(i, (scores.get(i) || 0) + weight);
+      }
+    }
+  });
+  
+  return { docs, postings, terms: [...postings.keys()].sort(), builtAt };
+}
+
+/**
+ * Score every note containing a query token, as a whole word or (for tokens
+ * of two or more characters) as a word prefix
+ */
+function matchSearchToken(index, token) {
+  const matches = new Map(index.postings.get(token) || []);
+  if (token.length < 2) return matches;
+  
+  // Binary search for the first term >= token, then walk the prefix range
+  let lo = 0;
+  let hi = index.terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (index.terms[mid] < token) lo = mid + 1;
+    else hi = mid;
+  }
+  for (let i = lo; i < index.terms.length && index.terms[i].startsWith(token); i++) {
+    if (index.terms[i] === token) continue;
+    for (const [doc, score] of index.postings.get(index.terms[i])) {
+      matches.set(doc, Math.max(matches.get(doc) || 0, score / 2));
+    }
+  }
+  return matches;
+}
+
+/**
+ * Notes matching every query token, with relevance scores. Whole-query
+ * matches in the title and view counts add to the score.
+ */
+function rankSearchResults(index, query) {
+  const tokens = searchTokens(query);
+  const phrase = query.trim().toLowerCase();
+  let scores = null;
+  
+  for (const token of tokens) {
+    const matches = matchSearchToken(index, token);
+    if (scores === null) {
+      scores = matches;
+    } else {
+      for (const [doc, score] of scores) {
+        if (matches.has(doc)) scores.set(doc, score + matches.get(doc));
+        else scores.delete(doc);
+      }
+    }
+  }
+  if (scores === null) scores = new Map(index.docs.map((_, i) => [i, 0]));
+  
+  return [...scores].map(([i, score]) => {
+    const doc = index.docs[i];
+    const title = doc.fields.title.toLowerCase();
+    if (phrase) {
+      if (title === phrase) score += 100;
+      else if (title.startsWith(phrase)) score += 50;
+      else if (title.includes(phrase)) score += 25;
+    }
+    score += Math.log1p(doc.note.v || 0);
+    return { doc, score: Math.round(score * 100) / 100 };
+  });
+}
+
+/**
+ * [start, end) ranges in each field where a query token starts a word
+ */
+function searchHighlights(fields, tokens) {
+  const highlights = {};
+  for (const [field, value] of Object.entries(fields)) {
+    const lower = value.toLowerCase();
+    const ranges = [];
+    for (const token of tokens) {
+      for (let at = lower.indexOf(token); at !== -1; at = lower.indexOf(token, at + 1)) {
+        if (at === 0 || !/[\p{L}\p{N}]/u.test(lower[at - 1])) ranges.push([at, at + token.length]);
+      }
+    }
+    if (!ranges.length) continue;
+    
+    // Merge overlapping ranges
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [ranges[0]];
+    for (const [start, end] of ranges.slice(1)) {
+      const last = merged[merged.length - 1];
+      if (start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+    }
+    highlights[field] = merged;
+  }
+  return highlights;
+}
+
+/**
+ * Crawl the upstream list a page at a time
+ */
+async function loadSearchNotes(env) {
+  const notes = [];
+  for (let offset = 0; offset < SEARCH_INDEX_MAX_NOTES; offset += SEARCH_INDEX_PAGE_SIZE) {
+    const params = new URLSearchParams({ type: 'list', sort: 'updated', limit: String(SEARCH_INDEX_PAGE_SIZE), offset: String(offset) });
+    const upstream = await fetchUpstream(params, 'GET', env);
+    if (upstream.status !== 200) {
+      throw new Error(`Upstream list returned HTTP ${upstream.status}`);
+    }
+    const items = JSON.parse(upstream.body)?.items || [];
+    notes.push(...items);
+    if (items.length < SEARCH_INDEX_PAGE_SIZE) break;
+  }
+  return notes;
+}
+
+/**
+ * Rebuild the index from the upstream (once at a time per isolate)
+ */
+function refreshSearchIndex(env, ctx) {
+  if (searchIndexBuilding) return searchIndexBuilding;
+  
+  searchIndexBuilding = loadSearchNotes(env)
+    .then(async notes => {
+      const builtAt = Date.now();
+      searchIndex = buildSearchIndex(notes, builtAt);
+      try {
+        await getResponseCache(env).put(SEARCH_INDEX_CACHE_KEY, { status: 200, body: JSON.stringify(notes), storedAt: builtAt },
+          SEARCH_INDEX_TTL_MS / 1000 + RESPONSE_CACHE_STALE_IF_ERROR);
+      } catch (e) {
+        logError('search_index_cache_write_error', e);
+      }
+      return searchIndex;
+    })
+    .finally(() => {
+      searchIndexBuilding = null;
+    });
+  ctx?.waitUntil?.(searchIndexBuilding.catch(() => {}));
+  return searchIndexBuilding;
+}
+
+/**
+ * Get the search index: the isolate's copy, then the cached crawl, then a
+ * fresh build. A stale index is served while a new one builds.
+ */
+async function getSearchIndex(env, ctx) {
+  if (!searchIndex) {
+    try {
+      const cached = await getResponseCache(env).match(SEARCH_INDEX_CACHE_KEY);
+      if (cached) searchIndex = buildSearchIndex(JSON.parse(cached.body), cached.storedAt);
+    } catch (e) {
+      logError('search_index_cache_read_error', e);
+    }
+  }
+  if (!searchIndex) {
+    return refreshSearchIndex(env, ctx);
+  }
+  if (Date.now() - searchIndex.builtAt >= SEARCH_INDEX_TTL_MS) {
+    refreshSearchIndex(env, ctx).catch(e => logError('search_index_refresh_error', e));
+  }
+  return searchIndex;
+}
+
+/**
+ * A note's size in bytes, whether given as a number or like "1.2 MB"
+ */
+function noteSizeBytes(note) {
+  if (typeof note.size === 'number') return note.size;
+  const match = String(note.size || '').match(/([\d.]+)\s*(b|kb|mb|gb)/i);
+  return match ? parseFloat(match[1]) * SEARCH_SIZE_UNITS[match[2].toLowerCase()] : 0;
+}
+
+/**
+ * Facet value of a note (lowercased so "PDF" and "pdf" count together)
+ */
+function searchFacetValue(doc, facet) {
+  if (facet === 'verified') return String(!!doc.note.is_verified);
+  return doc.fields[facet].toLowerCase();
+}
+
+/**
+ * Handle GET /api/search?q=&sort=&limit=&offset=&format=&author=&verified=
+ */
+async function handleSearch(request, env, appId, rateLimit = null, ctx = null) {
+  const startTime = Date.now();
+  const url = new URL(request.url);
+  const query = url.searchParams.get('q') || url.searchParams.get('query') || '';
+  const sort = url.searchParams.get('sort') === 'upd' ? 'updated' : url.searchParams.get('sort') || 'relevance';
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || SEARCH_PAGE_DEFAULT, 1), SEARCH_PAGE_MAX);
+  const offset = Math.max(parseInt(url.searchParams.get('offset'), 10) || 0, 0);
+  const filters = {
+    format: url.searchParams.get('format')?.toLowerCase() || null,
+    author: url.searchParams.get('author')?.toLowerCase() || null,
+    verified: url.searchParams.get('verified') === 'true' ? 'true' : null,
+  };
+  
+  const respond = (status, payload, extraHeaders = {}) => {
+    const body = JSON.stringify(payload);
+    const duration = Date.now() - startTime;
+    recordUsage({ appId, route: '/api/search', status, durationMs: duration, bytes: new TextEncoder().encode(body).byteLength }, env, ctx);
+    return new Response(body, {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': status === 200 ? 'private, max-age=60' : 'no-store',
+        ...corsHeaders,
+        ...securityHeaders(),
+        ...rateLimitHeaders(rateLimit),
+        'X-App-Id': appId,
+        'X-Response-Time': `${duration}ms`,
+        ...extraHeaders,
+      },
+    });
+  };
+  
+  if (!SEARCH_SORTS.includes(sort)) {
+    return respond(400, errorEnvelope('invalid_query', 'Invalid query', { errors: [`sort must be one of: ${SEARCH_SORTS.join(', ')}`] }));
+  }
+  
+  let index;
+  try {
+    index = await getSearchIndex(env, ctx);
+  } catch (error) {
+    return respond(error.circuitOpen ? 503 : 502,
+      errorEnvelope(error.circuitOpen ? 'upstream_unavailable' : 'upstream_error', 'The search index could not be built'),
+      error.circuitOpen ? { 'Retry-After': String(upstreamRetryAfter()) } : {});
+  }
+  
+  const ranked = rankSearchResults(index, query);
+  const passes = (result, except) => Object.entries(filters)
+    .every(([facet, value]) => facet === except || value === null || searchFacetValue(result.doc, facet) === value);
+  
+  // Each facet counts the matches under the other filters, so picking one
+  // format still shows how many results the other formats would give
+  const facets = {};
+  for (const facet of Object.keys(filters)) {
+    const counts = {};
+    for (const result of ranked) {
+      if (!passes(result, facet)) continue;
+      const value = searchFacetValue(result.doc, facet);
+      if (value) counts[value] = (counts[value] || 0) + 1;
+    }
+    facets[facet] = Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, SEARCH_FACET_LIMIT));
+  }
+  
+  const results = ranked.filter(result => passes(result));
+  const byTitle = (a, b) => a.doc.fields.title.localeCompare(b.doc.fields.title);
+  const byName = (a, b) => a.doc.fields.name.localeCompare(b.doc.fields.name);
+  const bySize = (a, b) => noteSizeBytes(a.doc.note) - noteSizeBytes(b.doc.note);
+  const comparators = {
+    relevance: (a, b) => b.score - a.score || byTitle(a, b),
+    views: (a, b) => (b.doc.note.v || 0) - (a.doc.note.v || 0),
+    downloads: (a, b) => (b.doc.note.d || 0) - (a.doc.note.d || 0),
+    updated: (a, b) => String(b.doc.note.upd || '').localeCompare(String(a.doc.note.upd || '')),
+    name: byName,
+    'name-desc': (a, b) => byName(b, a),
+    size: (a, b) => bySize(b, a),
+    'size-asc': bySize,
+    title: byTitle,
+  };
+  results.sort(comparators[sort]);
+  
+  const tokens = searchTokens(query);
+  const page = results.slice(offset, offset + limit);
+  
+  return respond(200, {
+    items: page.map(({ doc, score }) => ({ ...doc.note, score, highlights: searchHighlights(doc.fields, tokens) })),
+    facets,
+    meta: {
+      query,
+      sort,
+      total: results.length,
+      limit,
+      offset,
+      hasMore: offset + limit < results.length,
+      indexedNotes: index.docs.length,
+      indexedAt: new Date(index.builtAt).toISOString(),
+    },
+  });
+}
+
+// ==================== APP TOKEN MANAGEMENT ====================
+// App tokens can be issued at runtime through the admin API instead of only
+// via the APP_TOKENS secret. Managed tokens live in AUTH_KV as
+// `apptoken:<appId>` records (the token itself is stored only as a SHA-256
+// hash) plus an `apptokenhash:<hash>` pointer used to look tokens up.
+
+const APP_TOKEN_SCOPES = ['notes:read', 'counters:write', 'quizzes:write', 'quizzes:admin'];
+// Scopes granted when a token is created without any
+const APP_TOKEN_DEFAULT_SCOPES = ['notes:read', 'counters:write', 'quizzes:write'];
+const APP_TOKEN_ALGORITHMS = ['sliding-window', 'token-bucket'];
+
+// Only write lastUsedAt back to KV this often per token
+const APP_TOKEN_TOUCH_INTERVAL_MS = 60000;
+
+/**
+ * Read a managed token record (or hash pointer) by key. Without AUTH_KV there
+ * are none: a token kept in memory would only work in the isolate that issued it.
+ */
+async function getAppTokenEntry(key, env) {
+  return env?.AUTH_KV ? env.AUTH_KV.get(key, 'json') : null;
+}
+
+async function putAppTokenEntry(key, value, env) {
+  await env.AUTH_KV.put(key, JSON.stringify(value));
+}
+
+async function deleteAppTokenEntry(key, env) {
+  await env.AUTH_KV.delete(key);
+}
+
+/**
+ * All managed token records
+ */
+async function listAppTokenRecords(env) {
+  if (!env?.AUTH_KV) {
+    return [];
+  }
+  
+  const records = [];
+  let cursor;
+  do {
+    const list = await env.AUTH_KV.list({ prefix: 'apptoken:', cursor });
+    for (const key of list.keys) {
+      const record = await env.AUTH_KV.get(key.name, 'json');
+      if (record) records.push(record);
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+  return records;
+}
+
+/**
+ * New random app token; the prefix makes leaked tokens easy to recognise
+ */
+function generateAppToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return 'ont_' + [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Validate the editable fields of a token record
+ */
+function validateAppTokenFields(body, { partial = false } = {}) {
+  const errors = [];
+  
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name is required');
+    else if (body.name.length > 100) errors.push('name must be 100 characters or less');
+  }
+  if (body.owner !== undefined && body.owner !== null && typeof body.owner !== 'string') {
+    errors.push('owner must be a string');
+  }
+  if (body.scopes !== undefined) {
+    if (!Array.isArray(body.scopes)) errors.push('scopes must be an array');
+    else {
+      body.scopes.filter(scope => !APP_TOKEN_SCOPES.includes(scope))
+        .forEach(scope => errors.push(`Unknown scope "${scope}" (expected one of ${APP_TOKEN_SCOPES.join(', ')})`));
+    }
+  }
+  if (body.active !== undefined && typeof body.active !== 'boolean') {
+    errors.push('active must be a boolean');
+  }
+  for (const field of ['rateLimit', 'rateLimitWindow']) {
+    if (body[field] !== undefined && body[field] !== null && !(Number.isInteger(body[field]) && body[field] > 0)) {
+      errors.push(`${field} must be a positive integer`);
+    }
+  }
+  if (body.rateLimitAlgorithm !== undefined && body.rateLimitAlgorithm !== null && !APP_TOKEN_ALGORITHMS.includes(body.rateLimitAlgorithm)) {
+    errors.push(`rateLimitAlgorithm must be one of: ${APP_TOKEN_ALGORITHMS.join(', ')}`);
+  }
+  if (body.routeLimits !== undefined && body.routeLimits !== null) {
+    if (typeof body.routeLimits !== 'object' || Array.isArray(body.routeLimits)) {
+      errors.push('routeLimits must be an object of route -> limit');
+    } else {
+      for (const [route, limit] of Object.entries(body.routeLimits)) {
+        const value = typeof limit === 'object' && limit !== null ? limit.limit : limit;
+        if (!route.startsWith('/') || !(Number.isInteger(value) && value > 0)) {
+          errors.push(`routeLimits["${route}"] must be a positive integer limit for a path starting with /`);
+        }
+      }
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Copy the editable fields from a request body onto a record
+ */
+function applyAppTokenFields(record, body) {
+  if (body.name !== undefined) record.name = body.name.trim();
+  if (body.owner !== undefined) record.owner = body.owner || null;
+  if (body.scopes !== undefined) record.scopes = [...new Set(body.scopes)];
+  if (body.active !== undefined) record.active = body.active;
+  for (const field of ['rateLimit', 'rateLimitWindow', 'rateLimitAlgorithm', 'routeLimits']) {
+    if (body[field] !== undefined) record[field] = body[field] ?? null;
+  }
+  return record;
+}
+
+/**
+ * Scopes granted to an app token config. Tokens created before scopes
+ * existed (APP_TOKENS entries without `scopes`) keep the default set.
+ */
+function appTokenScopes(config) {
+  return Array.isArray(config?.scopes) ? config.scopes : APP_TOKEN_DEFAULT_SCOPES;
+}
+
+/**
+ * 403 response for an app token missing a scope, or null when it has it
+ */
+function checkAppTokenScope(appId, scopes, requiredScope) {
+  if (!requiredScope || scopes.includes(requiredScope)) return null;
+  
+  return errorResponse(403, 'insufficient_scope', `App token "${appId}" is missing the required scope "${requiredScope}"`, {
+    details: { requiredScope, grantedScopes: scopes },
+  });
+}
+
+/**
+ * Token record as returned by the admin API (never includes the hash)
+ */
+function toPublicAppToken(record) {
+  const { tokenHash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Look up a managed token and record when it was last used
+ */
+async function findManagedAppToken(token, env) {
+  const tokenHash = await hashToken(token);
+  const pointer = await getAppTokenEntry(`apptokenhash:${tokenHash}`, env);
+  if (!pointer) return null;
+  
+  const record = await getAppTokenEntry(`apptoken:${pointer.id}`, env);
+  if (!record || record.tokenHash !== tokenHash) return null;
+  
+  const now = Date.now();
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > APP_TOKEN_TOUCH_INTERVAL_MS) {
+    record.lastUsedAt = new Date(now).toISOString();
+    await putAppTokenEntry(`apptoken:${record.id}`, record, env);
+  }
+  return record;
+}
+
+/**
+ * Reject non-admin callers; returns the 403 response, or null when allowed
+ */
+async function requireAdmin(request, env, message) {
+  const auth = await validateQuizToken(request, env);
+  if (auth.valid && auth.role === 'admin') return null;
+  
+  return errorResponse(403, 'forbidden', message);
+}
+
+/**
+ * Handle GET /api/admin/usage - Per-app usage report (admin only)
+ * Query: ?granularity=hour|day&from=&to=&app=
+ */
+async function handleUsageReport(request, env) {
+  const denied = await requireAdmin(request, env, 'Admin access required to view usage');
+  if (denied) return denied;
+  
+  const url = new URL(request.url);
+  const granularity = url.searchParams.get('granularity') || 'hour';
+  const app = url.searchParams.get('app') || null;
+  const now = Date.now();
+  const defaultSpan = granularity === 'day' ? 7 * 86400000 : 86400000;
+  const to = url.searchParams.has('to') ? Date.parse(url.searchParams.get('to')) : now;
+  const from = url.searchParams.has('from') ? Date.parse(url.searchParams.get('from')) : to - defaultSpan;
+  
+  const errors = [];
+  if (!['hour', 'day'].includes(granularity)) errors.push('granularity must be hour or day');
+  if (Number.isNaN(from)) errors.push('from must be an ISO date');
+  if (Number.isNaN(to)) errors.push('to must be an ISO date');
+  if (!errors.length && from > to) errors.push('from must be before to');
+  if (!errors.length && to - from > USAGE_RETENTION_DAYS * 86400000) {
+    errors.push(`range must be at most ${USAGE_RETENTION_DAYS} days`);
+  }
+  if (errors.length > 0) {
+    return errorResponse(400, 'invalid_query', 'Invalid query', { details: { errors } });
+  }
+  
+  const fromHour = new Date(from).toISOString().slice(0, 13);
+  const toHour = new Date(to).toISOString().slice(0, 13);
+  const buckets = await readUsageBuckets(env, { app, fromHour, toHour });
+  
+  const apps = new Map();
+  const overall = emptyUsageCounters();
+  for (const bucket of buckets) {
+    if (!apps.has(bucket.app)) {
+      apps.set(bucket.app, { totals: { ...emptyUsageCounters(), routes: {}, statuses: {} }, periods: new Map() });
+    }
+    const entry = apps.get(bucket.app);
+    mergeUsageBucket(entry.totals, bucket);
+    mergeUsageCounters(overall, bucket);
+    
+    const period = granularity === 'day' ? bucket.hour.slice(0, 10) : `${bucket.hour}:00Z`;
+    entry.periods.set(period, mergeUsageCounters(entry.periods.get(period) || emptyUsageCounters(), bucket));
+  }
+  
+  const report = [...apps.entries()].map(([appId, { totals, periods }]) => ({
+    app: appId,
+    ...summarizeUsageCounters(totals),
+    statuses: totals.statuses,
+    routes: Object.fromEntries(Object.entries(totals.routes)
+      .sort(([, a], [, b]) => b.requests - a.requests)
+      .map(([route, counters]) => [route, summarizeUsageCounters(counters)])),
+    series: [...periods.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, counters]) => ({ period, ...summarizeUsageCounters(counters) })),
+  })).sort((a, b) => b.requests - a.requests);
+  
+  return new Response(JSON.stringify({
+    granularity,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    totals: summarizeUsageCounters(overall),
+    apps: report,
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Handle GET /api/admin/tokens - List managed and APP_TOKENS tokens (admin only)
+ */
+async function handleListAppTokens(request, env) {
+  const denied = await requireAdmin(request, env, 'Admin access required to manage app tokens');
+  if (denied) return denied;
+  
+  const managed = (await listAppTokenRecords(env)).map(record => ({ ...toPublicAppToken(record), source: 'kv' }));
+  
+  // Tokens from the APP_TOKENS secret are listed read-only
+  let configured = [];
+  try {
+    configured = Object.entries(JSON.parse(env.APP_TOKENS || '{}')).map(([id, config]) => {
+      const { token, ...rest } = config;
+      return { id, ...rest, source: 'env' };
+    });
+  } catch (e) {
+    logError('app_tokens_parse_error', e);
+  }
+  
+  const tokens = [...managed, ...configured].sort((a, b) => a.id.localeCompare(b.id));
+  
+  return new Response(JSON.stringify({ tokens, total: tokens.length }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle POST /api/admin/tokens - Issue a new app token (admin only)
+ */
+async function handleCreateAppToken(request, env) {
+  const denied = await requireAdmin(request, env, 'Admin access required to manage app tokens');
+  if (denied) return denied;
+  if (!env.AUTH_KV) {
+    return errorResponse(503, 'app_tokens_not_configured', 'Issuing app tokens needs the AUTH_KV binding');
+  }
+  
+  const { body, error } = await readJsonObject(request);
+  if (error) return error;
+  
+  const errors = validateAppTokenFields(body);
+  const id = body.id ?? body.name?.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!id || !/^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/.test(id)) {
+    errors.push('id must be 3-50 lowercase letters, digits or dashes');
+  }
+  if (errors.length > 0) {
+    return errorResponse(400, 'validation_failed', 'Validation failed', { details: { errors } });
+  }
+  
+  let existsInEnv = false;
+  try {
+    existsInEnv = !!JSON.parse(env.APP_TOKENS || '{}')[id];
+  } catch (e) {
+    // Unparseable APP_TOKENS can't clash
+  }
+  if (existsInEnv || await getAppTokenEntry(`apptoken:${id}`, env)) {
+    return errorResponse(409, 'app_token_exists', 'App token already exists', { details: { id } });
+  }
+  
+  const token = generateAppToken();
+  const tokenHash = await hashToken(token);
+  const now = new Date().toISOString();
+  const record = applyAppTokenFields({
+    id,
+    name: null,
+    owner: null,
+    scopes: [...APP_TOKEN_DEFAULT_SCOPES],
+    active: true,
+    rateLimit: null,
+    rateLimitWindow: null,
+    rateLimitAlgorithm: null,
+    routeLimits: null,
+    tokenHash,
+    tokenPrefix: token.slice(0, 12),
+    createdAt: now,
+    updatedAt: now,
+    rotatedAt: null,
+    lastUsedAt: null,
+  }, body);
+  
+  await putAppTokenEntry(`apptoken:${id}`, record, env);
+  await putAppTokenEntry(`apptokenhash:${tokenHash}`, { id }, env);
+  
+  // The raw token is only ever returned here and on rotation
+  return new Response(JSON.stringify({ success: true, token, app: toPublicAppToken(record) }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle GET /api/admin/tokens/:id - Get a managed token (admin only)
+ */
+async function handleGetAppToken(id, request, env) {
+  const denied = await requireAdmin(request, env, 'Admin access required to manage app tokens');
+  if (denied) return denied;
+  
+  const record = await getAppTokenEntry(`apptoken:${id}`, env);
+  if (!record) {
+    return errorResponse(404, 'app_token_not_found', 'App token not found');
+  }
+  
+  return new Response(JSON.stringify(toPublicAppToken(record)), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle PATCH /api/admin/tokens/:id - Update name, owner, scopes, limits or active (admin only)
+ */
+async function handleUpdateAppToken(id, request, env) {
+  const denied = await requireAdmin(request, env, 'Admin access required to manage app tokens');
+  if (denied) return denied;
+  
+  const record = await getAppTokenEntry(`apptoken:${id}`, env);
+  if (!record) {
+    return errorResponse(404, 'app_token_not_found', 'App token not found');
+  }
+  
+  const { body, error } = await readJsonObject(request);
+  if (error) return error;
+  
+  const errors = validateAppTokenFields(body, { partial: true });
+  if (errors.length > 0) {
+    return errorResponse(400, 'validation_failed', 'Validation failed', { details: { errors } });
+  }
+  
+  applyAppTokenFields(record, body);
+  record.updatedAt = new Date().toISOString();
+  await putAppTokenEntry(`apptoken:${id}`, record, env);
+  
+  return new Response(JSON.stringify({ success: true, app: toPublicAppToken(record) }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle POST /api/admin/tokens/:id/rotate - Replace a token's secret (admin only).
+ * The old token stops working immediately.
+ */
+async function handleRotateAppToken(id, request, env) {
+  const denied = await requireAdmin(request, env, 'Admin access required to manage app tokens');
+  if (denied) return denied;
+  
+  const record = await getAppTokenEntry(`apptoken:${id}`, env);
+  if (!record) {
+    return errorResponse(404, 'app_token_not_found', 'App token not found');
+  }
+  
+  const token = generateAppToken();
+  const tokenHash = await hashToken(token);
+  await deleteAppTokenEntry(`apptokenhash:${record.tokenHash}`, env);
+  
+  const now = new Date().toISOString();
+  record.tokenHash = tokenHash;
+  record.tokenPrefix = token.slice(0, 12);
+  record.rotatedAt = now;
+  record.updatedAt = now;
+  await putAppTokenEntry(`apptoken:${id}`, record, env);
+  await putAppTokenEntry(`apptokenhash:${tokenHash}`, { id }, env);
+  
+  return new Response(JSON.stringify({ success: true, token, app: toPublicAppToken(record) }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle POST /api/admin/tokens/:id/deactivate - Revoke a token without deleting it (admin only)
+ */
+async function handleDeactivateAppToken(id, request, env) {
+  const denied = await requireAdmin(request, env, 'Admin access required to manage app tokens');
+  if (denied) return denied;
+  
+  const record = await getAppTokenEntry(`apptoken:${id}`, env);
+  if (!record) {
+    return errorResponse(404, 'app_token_not_found', 'App token not found');
+  }
+  
+  record.active = false;
+  record.updatedAt = new Date().toISOString();
+  await putAppTokenEntry(`apptoken:${id}`, record, env);
+  
+  return new Response(JSON.stringify({ success: true, app: toPublicAppToken(record) }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle DELETE /api/admin/tokens/:id - Delete a managed token (admin only)
+ */
+async function handleDeleteAppToken(id, request, env) {
+  const denied = await requireAdmin(request, env, 'Admin access required to manage app tokens');
+  if (denied) return denied;
+  
+  const record = await getAppTokenEntry(`apptoken:${id}`, env);
+  if (!record) {
+    return errorResponse(404, 'app_token_not_found', 'App token not found');
+  }
+  
+  await deleteAppTokenEntry(`apptokenhash:${record.tokenHash}`, env);
+  await deleteAppTokenEntry(`apptoken:${id}`, env);
+  
+  return new Response(JSON.stringify({ success: true, message: 'App token deleted' }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+// ==================== QUIZ HANDLERS ====================
+
+// Upstream accounts, keyed by token hash, so each isolate asks the upstream about a token at most once per TTL
+const verifiedUserStore = new Map();
+const VERIFIED_USER_TTL_SECONDS = 300;
+const VERIFIED_USER_CACHE_MAX = 1000;
+
+/**
+ * Resolve a user token to its upstream account id, or null if the upstream rejects it.
+ * Tokens rotate on every sign-in, so quizzes and attempts are owned by this id instead.
+ */
+async function verifyUserToken(token, env) {
+  const key = await hashToken(token);
+  const cached = verifiedUserStore.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+  
+  const response = await fetch(env.UPSTREAM_USER_URL || `${OPENNOTES_API}/auth/me`, {
+    headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' },
+  });
+  if (!response.ok) return null;
+  const data = await response.json().catch(() => null);
+  const id = data?.id ?? data?.user?.id ?? data?.sub;
+  if ((typeof id !== 'string' || !id) && typeof id !== 'number') return null;
+  
+  const user = { id: String(id) };
+  verifiedUserStore.delete(key);
+  verifiedUserStore.set(key, { user, expiresAt: Date.now() + VERIFIED_USER_TTL_SECONDS * 1000 });
+  // Map iteration follows insertion order, so the first entry is the stalest
+  if (verifiedUserStore.size > VERIFIED_USER_CACHE_MAX) {
+    verifiedUserStore.delete(verifiedUserStore.keys().next().value);
+  }
+  return user;
+}
+
+/**
+ * Validate quiz token for creating/modifying quizzes
+ */
+async function validateQuizToken(request, env) {
+  const token = request.headers.get('X-Quiz-Token') || request.headers.get('Authorization')?.replace('Bearer ', '');
+  const authToken = request.headers.get('X-Auth-Token'); // User auth token
+  
+  // An app token always identifies the caller as that app, so its scopes
+  // apply whatever other headers are sent
+  const appToken = request.headers.get('X-App-Token');
+  if (appToken) {
+    const validation = await validateAppToken(appToken, env);
+    if (validation.valid) {
+      return { valid: true, role: 'app', app: validation.app, scopes: appTokenScopes(validation.config) };
+    }
+    return { valid: false };
+  }
+  
+  // Admin token has full access
+  if (token && token === env.ADMIN_TOKEN) {
+    return { valid: true, role: 'admin' };
+  }
+  
+  // Signed-in users, as the upstream account behind their token
+  const user = authToken ? await verifyUserToken(authToken, env) : null;
+  if (user) {
+    return { valid: true, role: 'user', userId: user.id };
+  }
+  
+  return { valid: false };
+}
+
+/**
+ * Derive a stable owner id for the caller of validateQuizToken.
+ * Upstream account ids are hashed so they can't collide with the `:`-separated key parts.
+ */
+async function getQuizOwner(auth) {
+  if (auth.role === 'admin') return 'admin';
+  if (auth.role === 'app') return `app:${auth.app}`;
+  if (auth.role === 'user') return `user:${await hashToken(auth.userId)}`;
+  return null;
+}
+
+/**
+ * Admins, and app tokens with the quizzes:admin scope, may manage any quiz
+ */
+function isQuizAdmin(auth) {
+  return auth.valid && (auth.role === 'admin' || (auth.role === 'app' && auth.scopes.includes('quizzes:admin')));
+}
+
+/**
+ * Whether the caller may modify a quiz (its original author, or an admin)
+ */
+async function canEditQuiz(auth, quiz) {
+  if (isQuizAdmin(auth)) return true;
+  return !!quiz.owner && quiz.owner === await getQuizOwner(auth);
+}
+
+/**
+ * Build the editable quiz fields from a validated request body
+ */
+function buildQuizContent(body) {
+  return {
+    title: body.title,
+    subject: body.subject,
+    topic: body.topic || null,
+    difficulty: body.difficulty || 'medium',
+    description: body.description || '',
+    tags: body.tags || [],
+    questions: body.questions.map(normalizeQuestion),
+  };
+}
+
+/**
+ * Strip server-only fields before returning a quiz to clients
+ */
+function toPublicQuiz(quiz) {
+  const { owner, ...publicQuiz } = quiz;
+  return publicQuiz;
+}
+
+/**
+ * Handle GET /api/quizzes - List all quizzes
+ */
+async function handleListQuizzes(request, env) {
+  const url = new URL(request.url);
+  const csv = name => (url.searchParams.get(name) || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+  const filters = {
+    subject: url.searchParams.get('subject'),
+    topic: url.searchParams.get('topic'),
+    search: url.searchParams.get('q') || url.searchParams.get('search'),
+    difficulty: csv('difficulty'),
+    tags: csv('tags'),
+    author: url.searchParams.get('author'),
+  };
+  
+  const sort = url.searchParams.get('sort') || 'createdAt';
+  const order = url.searchParams.get('order') || (sort === 'title' ? 'asc' : 'desc');
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || QUIZ_PAGE_DEFAULT, 1), QUIZ_PAGE_MAX);
+  const rawCursor = url.searchParams.get('cursor');
+  const cursor = rawCursor ? decodeCursor(rawCursor) : null;
+  
+  const errors = [];
+  if (!QUIZ_SORT_FIELDS.includes(sort)) errors.push(`sort must be one of ${QUIZ_SORT_FIELDS.join(', ')}`);
+  if (!['asc', 'desc'].includes(order)) errors.push('order must be asc or desc');
+  if (rawCursor && !cursor) errors.push('cursor is invalid');
+  if (errors.length > 0) {
+    return errorResponse(400, 'invalid_query', 'Invalid query', { details: { errors } });
+  }
+  
+  const quizzes = await listQuizzes(filters, env);
+  const page = paginateQuizzes(quizzes, { sort, order, limit, cursor });
+  
+  return new Response(JSON.stringify({
+    quizzes: page.quizzes,
+    total: quizzes.length,
+    limit,
+    nextCursor: page.nextCursor,
+    sort,
+    order,
+    filters: Object.fromEntries(Object.entries(filters).filter(([k, v]) => Array.isArray(v) ? v.length : v)),
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=30, stale-while-revalidate=60', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Store a validated quiz body as a new quiz at revision 1
+ */
+async function createQuizRecord(body, auth, env) {
+  const quizId = generateQuizId();
+  const quiz = {
+    id: quizId,
+    schemaVersion: QUIZ_SCHEMA_VERSION,
+    ...buildQuizContent(body),
+    author: body.author || (auth.role === 'user' ? 'Authenticated User' : auth.app || 'Anonymous'),
+    owner: await getQuizOwner(auth),
+    revision: 1,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  
+  await saveQuiz(quizId, quiz, env);
+  return quiz;
+}
+
+/**
+ * Handle POST /api/quizzes - Create a new quiz
+ */
+async function handleCreateQuiz(request, env) {
+  const auth = await validateQuizToken(request, env);
+  if (!auth.valid) {
+    return errorResponse(401, 'unauthorized', 'Authentication required to create quizzes');
+  }
+  
+  const { body, error } = await readJsonObject(request);
+  if (error) return error;
+  
+  const validation = validateQuiz(body);
+  if (!validation.valid) {
+    return errorResponse(400, 'validation_failed', 'Validation failed', { details: { errors: validation.errors } });
+  }
+  
+  const quiz = await createQuizRecord(body, auth, env);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    quiz: {
+      id: quiz.id,
+      title: quiz.title,
+      questionCount: quiz.questions.length,
+    },
+  }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle POST /api/quizzes/import - Create a quiz from a CSV, GIFT or QTI 2.1 file
+ * (?dryRun or "dryRun": true converts and reports without saving)
+ */
+async function handleImportQuiz(request, env) {
+  const auth = await validateQuizToken(request, env);
+  if (!auth.valid) {
+    return errorResponse(401, 'unauthorized', 'Authentication required to import quizzes');
+  }
+  
+  const { body, error } = await readJsonObject(request);
+  if (error) return error;
+  
+  const format = String(body.format || '').toLowerCase();
+  if (!QUIZ_IMPORT_FORMATS.includes(format)) {
+    return errorResponse(400, 'invalid_request', `format must be one of ${QUIZ_IMPORT_FORMATS.join(', ')}`);
+  }
+  if (typeof body.content !== 'string' || !body.content.trim()) {
+    return errorResponse(400, 'invalid_request', 'content must be the text of the file to import');
+  }
+  if (new TextEncoder().encode(body.content).length > QUIZ_IMPORT_MAX_BYTES) {
+    return errorResponse(413, 'payload_too_large', `Import files are limited to ${QUIZ_IMPORT_MAX_BYTES / 1024} KB`);
+  }
+  
+  const converted = convertQuizImport(format, body.content);
+  const errors = [...converted.errors];
+  if (converted.report.length > QUIZ_IMPORT_MAX_QUESTIONS) {
+    errors.push(`Imports are limited to ${QUIZ_IMPORT_MAX_QUESTIONS} questions (the file has ${converted.report.length})`);
+  }
+  
+  const quizBody = {
+    title: body.title || converted.title,
+    subject: body.subject,
+    topic: body.topic,
+    difficulty: body.difficulty,
+    description: body.description,
+    tags: body.tags,
+    author: body.author,
+    questions: converted.questions,
+  };
+  // Question errors are already in the report; keep only the quiz-level ones
+  errors.push(...validateQuiz(quizBody).errors.filter(error => !error.startsWith('Question ')));
+  const failed = converted.report.filter(entry => entry.errors.length > 0);
+  const warnings = converted.report.flatMap(entry => entry.warnings);
+  
+  const url = new URL(request.url);
+  if (body.dryRun === true || url.searchParams.has('dryRun')) {
+    return new Response(JSON.stringify({
+      valid: errors.length === 0 && failed.length === 0,
+      quiz: buildQuizContent({ ...quizBody, title: quizBody.title || '', subject: quizBody.subject || '' }),
+      questions: converted.report,
+      errors,
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+  
+  if (errors.length > 0 || failed.length > 0) {
+    return errorResponse(400, 'validation_failed', 'Import failed', {
+      details: { errors: [...errors, ...failed.flatMap(entry => entry.errors)], questions: failed },
+    });
+  }
+  
+  const quiz = await createQuizRecord(quizBody, auth, env);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    quiz: {
+      id: quiz.id,
+      title: quiz.title,
+      questionCount: quiz.questions.length,
+    },
+    imported: { questions: converted.report.length, warnings },
+  }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle GET /api/quizzes/:id - Get a specific quiz (?mode=student strips answers)
+ */
+async function handleGetQuiz(id, request, env) {
+  const url = new URL(request.url);
+  const quiz = await getQuiz(id, env);
+  
+  if (!quiz) {
+    return errorResponse(404, 'quiz_not_found', 'Quiz not found');
+  }
+  
+  // ?mode=student hides answers so grading can happen via POST /attempts
+  const payload = url.searchParams.get('mode') === 'student' ? toStudentQuiz(quiz) : toPublicQuiz(quiz);
+  
+  return new Response(JSON.stringify(payload), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Handle GET /api/quizzes/:id/export - Download a quiz as a worksheet or question bank
+ */
+async function handleExportQuiz(id, request, env) {
+  const url = new URL(request.url);
+  const format = (url.searchParams.get('format') || 'html').toLowerCase();
+  const part = (url.searchParams.get('part') || 'both').toLowerCase();
+  
+  if (!QUIZ_EXPORT_FORMATS[format]) {
+    return errorResponse(400, 'invalid_query', `format must be one of ${Object.keys(QUIZ_EXPORT_FORMATS).join(', ')}`);
+  }
+  if (!QUIZ_EXPORT_PARTS.includes(part)) {
+    return errorResponse(400, 'invalid_query', `part must be one of ${QUIZ_EXPORT_PARTS.join(', ')}`);
+  }
+  
+  const quiz = await getQuiz(id, env);
+  if (!quiz) {
+    return errorResponse(404, 'quiz_not_found', 'Quiz not found');
+  }
+  
+  // The worksheet loads KaTeX from the CDN and runs its one inline script
+  const csp = format === 'html' ? await quizExportCsp() : null;
+  const renderers = {
+    html: () => renderQuizHtml(quiz, part, csp),
+    md: () => renderQuizMarkdown(quiz, part),
+    csv: () => renderQuizCsv(quiz),
+    gift: () => renderQuizGift(quiz),
+    qti: () => renderQuizQti(quiz),
+  };
+  const { contentType, extension } = QUIZ_EXPORT_FORMATS[format];
+  const filename = quizExportFilename(quiz, part === 'key' ? `key.${extension}` : extension);
+  const headers = {
+    'Content-Type': contentType,
+    // HTML opens in the browser for printing; the others download
+    'Content-Disposition': `${format === 'html' ? 'inline' : 'attachment'}; filename="${filename}"`,
+    'Cache-Control': 'public, max-age=60',
+    ...corsHeaders,
+    ...securityHeaders(),
+  };
+  if (csp) headers['Content-Security-Policy'] = csp;
+  
+  return new Response(renderers[format](), { status: 200, headers });
+}
+
+/**
+ * Handle PUT /api/quizzes/:id - Replace a quiz's content (author or admin only)
+ */
+async function handleUpdateQuiz(id, request, env) {
+  const auth = await validateQuizToken(request, env);
+  if (!auth.valid) {
+    return errorResponse(401, 'unauthorized', 'Authentication required to update quizzes');
+  }
+  
+  const existing = await getQuiz(id, env);
+  if (!existing) {
+    return errorResponse(404, 'quiz_not_found', 'Quiz not found');
+  }
+  
+  if (!(await canEditQuiz(auth, existing))) {
+    return errorResponse(403, 'forbidden', 'Only the quiz author or an admin can update this quiz');
+  }
+  
+  const { body, error } = await readJsonObject(request);
+  if (error) return error;
+  
+  const validation = validateQuiz(body);
+  if (!validation.valid) {
+    return errorResponse(400, 'validation_failed', 'Validation failed', { details: { errors: validation.errors } });
+  }
+  
+  // Optional optimistic concurrency: reject edits based on a stale revision
+  const currentRevision = existing.revision || 1;
+  if (body.revision !== undefined && !(Number.isInteger(body.revision) && body.revision > 0)) {
+    return errorResponse(400, 'validation_failed', 'revision must be a positive integer');
+  }
+  if (body.revision !== undefined && body.revision !== currentRevision) {
+    return errorResponse(409, 'revision_conflict', `Quiz was modified (current revision ${currentRevision})`, {
+      details: { revision: currentRevision },
+    });
+  }
+  
+  const quiz = {
+    ...existing,
+    ...buildQuizContent(body),
+    schemaVersion: QUIZ_SCHEMA_VERSION,
+    author: body.author || existing.author,
+    revision: currentRevision + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  
+  await saveQuiz(id, quiz, env);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    quiz: {
+      id: quiz.id,
+      title: quiz.title,
+      questionCount: quiz.questions.length,
+      revision: quiz.revision,
+      updatedAt: quiz.updatedAt,
+    },
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle POST /api/quizzes/:id/attempts - Grade a set of answers server-side
+ */
+async function handleSubmitAttempt(id, request, env) {
+  const quiz = await getQuiz(id, env);
+  if (!quiz) {
+    return errorResponse(404, 'quiz_not_found', 'Quiz not found');
+  }
+  
+  const { body, error } = await readJsonObject(request);
+  if (error) return error;
+  
+  if (!body.answers || typeof body.answers !== 'object' || Array.isArray(body.answers)) {
+    return errorResponse(400, 'validation_failed', 'Send answers keyed by question id, e.g. { "answers": { "q1": [0], "q2": "320" } }');
+  }
+  
+  const grading = gradeQuiz(quiz, body.answers);
+  const now = Date.now();
+  const attempt = {
+    id: generateAttemptId(quiz.id, now),
+    quizId: quiz.id,
+    quizTitle: quiz.title,
+    subject: quiz.subject,
+    topic: quiz.topic || null,
+    revision: quiz.revision || 1,
+    ...grading,
+    timeTaken: Number.isFinite(body.timeTaken) ? body.timeTaken : null,
+    submittedAt: new Date(now).toISOString(),
+    submittedAtMs: now,
+  };
+  
+  // Signed-in users get the attempt recorded in their history
+  const owner = await getAttemptOwner(await validateQuizToken(request, env));
+  if (owner) {
+    await saveAttempt(owner, attempt, env);
+  }
+  
+  const { submittedAtMs, ...response } = attempt;
+  
+  return new Response(JSON.stringify({ ...response, saved: !!owner }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Handle GET /api/quizzes/:id/attempts - The caller's past attempts at a quiz
+ */
+async function handleListAttempts(id, request, env) {
+  const auth = await validateQuizToken(request, env);
+  if (!auth.valid) {
+    return errorResponse(401, 'unauthorized', 'Authentication required to view attempt history');
+  }
+  const owner = await getAttemptOwner(auth);
+  if (!owner) {
+    return errorResponse(403, 'user_required', 'Attempt history belongs to a signed-in user; send their X-Auth-Token without an X-App-Token');
+  }
+  
+  const url = new URL(request.url);
+  const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 50, 200);
+  const attempts = await listAttempts(owner, id, env);
+  
+  return new Response(JSON.stringify({
+    quizId: id,
+    stats: summarizeAttempts(attempts),
+    attempts: attempts.slice(0, limit),
+    total: attempts.length,
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Handle GET /api/attempts/stats - The caller's progress across all quizzes
+ * (?bucket=day|week, ?since=ISO date)
+ */
+async function handleAttemptStats(request, env) {
+  const auth = await validateQuizToken(request, env);
+  if (!auth.valid) {
+    return errorResponse(401, 'unauthorized', 'Authentication required to view progress');
+  }
+  const owner = await getAttemptOwner(auth);
+  if (!owner) {
+    return errorResponse(403, 'user_required', 'Progress belongs to a signed-in user; send their X-Auth-Token without an X-App-Token');
+  }
+  
+  const url = new URL(request.url);
+  const bucket = url.searchParams.get('bucket') === 'week' ? 'week' : 'day';
+  const since = url.searchParams.get('since');
+  let attempts = await listAttempts(owner, null, env);
+  if (since && !isNaN(Date.parse(since))) {
+    attempts = attempts.filter(a => new Date(a.submittedAt) >= new Date(since));
+  }
+  
+  const byQuizId = new Map();
+  for (const attempt of attempts) {
+    if (!byQuizId.has(attempt.quizId)) byQuizId.set(attempt.quizId, []);
+    byQuizId.get(attempt.quizId).push(attempt);
+  }
+  
+  return new Response(JSON.stringify({
+    overall: summarizeAttempts(attempts),
+    byQuiz: [...byQuizId.entries()].map(([quizId, quizAttempts]) => ({
+      quizId,
+      subject: quizAttempts[0].subject || null,
+      topic: quizAttempts[0].topic || null,
+      ...summarizeAttempts(quizAttempts),
+    })),
+    byTopic: topicAccuracy(attempts, bucket),
+    bucket,
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Handle POST /api/admin/quizzes/reindex - Rebuild the KV quiz index (admin only)
+ */
+async function handleReindexQuizzes(request, env) {
+  const auth = await validateQuizToken(request, env);
+  if (!isQuizAdmin(auth)) {
+    return errorResponse(403, 'forbidden', 'Admin access required to rebuild the quiz index');
+  }
+  
+  if (!env?.QUIZ_KV) {
+    return new Response(JSON.stringify({ success: true, indexed: false, message: 'In-memory storage has no index' }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+  
+  const result = await rebuildQuizIndex(env);
+  
+  return new Response(JSON.stringify({ success: true, indexed: true, ...result }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle GET /api/quizzes/:id/revisions - List a quiz's saved revisions
+ */
+async function handleListQuizRevisions(id, env) {
+  const quiz = await getQuiz(id, env);
+  if (!quiz) {
+    return errorResponse(404, 'quiz_not_found', 'Quiz not found');
+  }
+  
+  const revisions = await listQuizRevisions(id, env);
+  
+  return new Response(JSON.stringify({
+    id,
+    currentRevision: quiz.revision || 1,
+    revisions,
+    total: revisions.length,
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Handle GET /api/quizzes/:id/revisions/:revision - Get a specific revision
+ */
+async function handleGetQuizRevision(id, revision, env) {
+  const quiz = await getQuizRevision(id, revision, env);
+  
+  if (!quiz) {
+    return errorResponse(404, 'revision_not_found', 'Revision not found');
+  }
+  
+  return new Response(JSON.stringify(toPublicQuiz(quiz)), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Handle GET /api/quizzes/:id/diff?from=&to= - Diff two revisions (to defaults to current)
+ */
+async function handleDiffQuizRevisions(id, request, env) {
+  const url = new URL(request.url);
+  const current = await getQuiz(id, env);
+  if (!current) {
+    return errorResponse(404, 'quiz_not_found', 'Quiz not found');
+  }
+  
+  const fromRevision = parseInt(url.searchParams.get('from'), 10);
+  const toRevision = parseInt(url.searchParams.get('to'), 10) || current.revision || 1;
+  if (!Number.isInteger(fromRevision)) {
+    return errorResponse(400, 'validation_failed', 'from revision is required');
+  }
+  
+  const [from, to] = await Promise.all([
+    getQuizRevision(id, fromRevision, env),
+    getQuizRevision(id, toRevision, env),
+  ]);
+  if (!from || !to) {
+    return errorResponse(404, 'revision_not_found', 'Revision not found', {
+      details: { missing: [!from && fromRevision, !to && toRevision].filter(Boolean) },
+    });
+  }
+  
+  return new Response(JSON.stringify({
+    id,
+    from: fromRevision,
+    to: toRevision,
+    ...diffQuizzes(from, to),
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+/**
+ * Handle POST /api/quizzes/:id/revisions/:revision/restore - Restore an old revision
+ * as a new revision (history is never rewritten)
+ */
+async function handleRestoreQuizRevision(id, revision, request, env) {
+  const auth = await validateQuizToken(request, env);
+  if (!auth.valid) {
+    return errorResponse(401, 'unauthorized', 'Authentication required to restore quizzes');
+  }
+  
+  const existing = await getQuiz(id, env);
+  if (!existing) {
+    return errorResponse(404, 'quiz_not_found', 'Quiz not found');
+  }
+  
+  if (!(await canEditQuiz(auth, existing))) {
+    return errorResponse(403, 'forbidden', 'Only the quiz author or an admin can restore this quiz');
+  }
+  
+  const snapshot = await getQuizRevision(id, revision, env);
+  if (!snapshot) {
+    return errorResponse(404, 'revision_not_found', 'Revision not found');
+  }
+  
+  const quiz = {
+    ...snapshot,
+    owner: existing.owner,
+    createdAt: existing.createdAt,
+    revision: (existing.revision || 1) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  
+  await saveQuiz(id, quiz, env, { restoredFrom: revision });
+  
+  return new Response(JSON.stringify({
+    success: true,
+    quiz: {
+      id: quiz.id,
+      title: quiz.title,
+      questionCount: quiz.questions.length,
+      revision: quiz.revision,
+      restoredFrom: revision,
+      updatedAt: quiz.updatedAt,
+    },
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle DELETE /api/quizzes/:id - Delete a quiz
+ */
+async function handleDeleteQuiz(id, request, env) {
+  const auth = await validateQuizToken(request, env);
+  if (!isQuizAdmin(auth)) {
+    return errorResponse(403, 'forbidden', 'Admin access required to delete quizzes');
+  }
+  
+  const quiz = await getQuiz(id, env);
+  if (!quiz) {
+    return errorResponse(404, 'quiz_not_found', 'Quiz not found');
+  }
+  
+  await deleteQuiz(id, env);
+  
+  return new Response(JSON.stringify({ success: true, deleted: id }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Handle POST /api/quizzes/shuffle - Combine and shuffle multiple quizzes
+ */
+async function handleShuffleQuizzes(request, env) {
+  const { body, error } = await readJsonObject(request);
+  if (error) return error;
+  
+  const { quizIds, questionCount, shuffle = true } = body;
+  
+  if (!quizIds || !Array.isArray(quizIds) || quizIds.length === 0) {
+    return errorResponse(400, 'validation_failed', 'quizIds array is required');
+  }
+  
+  // Fetch all requested quizzes
+  const quizzes = [];
+  const notFound = [];
+  
+  for (const id of quizIds) {
+    const quiz = await getQuiz(id, env);
+    if (quiz) {
+      quizzes.push(quiz);
+    } else {
+      notFound.push(id);
+    }
+  }
+  
+  if (notFound.length > 0) {
+    return errorResponse(404, 'quiz_not_found', 'Some quizzes not found', { details: { notFound } });
+  }
+  
+  // Combine all questions
+  let allQuestions = [];
+  for (const quiz of quizzes) {
+    allQuestions.push(...quiz.questions.map(q => ({
+      ...q,
+      sourceQuiz: quiz.id,
+      sourceQuestionId: q.id,
+      sourceTitle: quiz.title,
+    })));
+  }
+  
+  // Shuffle if requested
+  if (shuffle) {
+    for (let i = allQuestions.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [allQuestions[i], allQuestions[j]] = [allQuestions[j], allQuestions[i]];
+    }
+  }
+  
+  // Limit question count if specified
+  if (questionCount && questionCount < allQuestions.length) {
+    allQuestions = allQuestions.slice(0, questionCount);
+  }
+  
+  // Generate combined quiz
+  const combined = {
+    id: 'combined-' + Date.now(),
+    title: `Combined Quiz (${quizzes.map(q => q.title).join(', ')})`,
+    subject: [...new Set(quizzes.map(q => q.subject))].join(', '),
+    description: `Combined from ${quizzes.length} quizzes`,
+    questions: allQuestions.map((q, i) => ({ ...q, id: `cq${i + 1}` })),
+    sourceQuizzes: quizIds,
+    createdAt: new Date().toISOString(),
+    isTemporary: true,
+  };
+  
+  return new Response(JSON.stringify(combined), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders, ...securityHeaders() },
+  });
+}
+
+// ==================== ROUTES ====================
+// Every route the gateway serves, in match order. This table drives dispatch in
+// `fetch`, the endpoint list on `/` and the /openapi.json document, so the three
+// cannot drift apart. Route fields:
+//   method, path      `:name` segments match ROUTE_PARAM_PATTERNS
+//   summary, tag      Documentation; `query` documents query parameters
+//   auth              'app': X-App-Token required (official frontend exempt) and
+//                     rate limited here. 'user', 'signedIn' (X-Auth-Token only),
+//                     'optional', 'admin' and 'origin' are checked by the
+//                     handler and only documented here
+//   scope             Scope an app token needs for the route
+//   body, response    Schema names in OPENAPI_SCHEMAS (`status` if not 200)
+//   produces          Content types of a response that isn't JSON
+//   skipSeed          Runs before the seed quizzes are written
+//   hidden            Alias left out of the docs
+//   handler           ({ request, env, ctx, url, params, appId, rateLimit }) => Response
+
+const ROUTE_PARAM_PATTERNS = {
+  id: '[a-z0-9-]+',
+  revision: '\\d+',
+  noteId: '[^/]+',
+};
+
+const ROUTES = [
+  // ---------- Gateway ----------
+  {
+    method: 'GET', path: '/', tag: 'Gateway', response: 'ApiInfo',
+    summary: 'API info. With ?type= the query is passed straight to the upstream (desktop app)',
+    query: { type: 'Upstream request type (list or note); switches to passthrough' },
+    handler: ({ request, env, ctx, url }) => {
+      if (!url.searchParams.has('type')) return handleApiInfo();
+      if (url.searchParams.has('counter')) {
+        return handleNoteCounterQuery(url, request, env, ctx);
+      }
+      return proxyToOpenNotes(request, env, 'desktop-app', null, ctx);
+    },
+  },
+  {
+    method: 'POST', path: '/', tag: 'Gateway', response: 'CounterResult', deprecated: true,
+    summary: 'Upstream passthrough for the desktop app; ?type=note&noteId=&counter= counts a view or download',
+    handler: ({ request, env, ctx, url }) => (url.searchParams.has('counter')
+      ? handleNoteCounterQuery(url, request, env, ctx)
+      : proxyToOpenNotes(request, env, 'desktop-app', null, ctx)),
+  },
+  {
+    method: 'GET', path: '/openapi.json', tag: 'Gateway', skipSeed: true,
+    summary: 'This OpenAPI document',
+    handler: ({ url }) => handleOpenApi(url),
+  },
+  {
+    method: 'GET', path: '/api/health/live', tag: 'Gateway', response: 'Liveness', skipSeed: true,
+    summary: 'Liveness check (no dependency probes)',
+    handler: () => handleHealthLive(),
+  },
+  {
+    method: 'GET', path: '/api/health', tag: 'Gateway', response: 'Health', skipSeed: true,
+    summary: 'Readiness check: probes the upstream and KV, 503 when a critical dependency is down',
+    handler: ({ env }) => handleHealth(env),
+  },
+  {
+    method: 'GET', path: '/api/health/ready', tag: 'Gateway', response: 'Health', skipSeed: true,
+    summary: 'Readiness check (same as /api/health)',
+    handler: ({ env }) => handleHealth(env),
+  },
+  {
+    method: 'GET', path: '/health', skipSeed: true, hidden: true,
+    handler: ({ env }) => handleHealth(env),
+  },
+
+  // ---------- Auth ----------
+  {
+    method: 'GET', path: '/auth/login', tag: 'Auth', status: 302,
+    summary: 'Redirect to the upstream Google sign-in',
+    handler: ({ request }) => handleAuthLoginProxy(request),
+  },
+  {
+    method: 'GET', path: '/auth/callback', tag: 'Auth', deprecated: true,
+    summary: 'Unused OAuth callback; explains that the upstream handles the callback',
+    handler: ({ request }) => handleAuthCallback(request),
+  },
+  {
+    method: 'POST', path: '/auth/code', tag: 'Auth', auth: 'origin', body: 'AuthCodeInput', response: 'AuthCode',
+    summary: 'Create a 6-digit desktop auth code (from auth.html only)',
+    handler: ({ request, env }) => handleCreateAuthCode(request, env),
+  },
+  {
+    method: 'GET', path: '/auth/exchange', tag: 'Auth', response: 'AuthToken', deprecated: true,
+    summary: 'Exchange an auth code for the token (desktop app; prefer the device flow)',
+    query: { code: '6-digit code from /auth/code' },
+    handler: ({ request, env }) => handleExchangeCode(request, env),
+  },
+  {
+    method: 'POST', path: '/auth/device/code', tag: 'Auth', response: 'DeviceCode',
+    summary: 'Start a device sign-in (RFC 8628)',
+    handler: ({ request, env }) => handleDeviceCode(request, env),
+  },
+  {
+    method: 'POST', path: '/auth/device/approve', tag: 'Auth', auth: 'origin', body: 'DeviceApproveInput', response: 'DeviceApproval',
+    summary: 'Approve or deny a user_code (from auth.html only)',
+    handler: ({ request, env }) => handleDeviceApprove(request, env),
+  },
+  {
+    method: 'POST', path: '/auth/device/token', tag: 'Auth', body: 'DeviceTokenInput', response: 'DeviceToken',
+    summary: 'Poll for the signed-in token (device_code grant)',
+    handler: ({ request, env }) => handleDeviceToken(request, env),
+  },
+
+  // ---------- Quizzes ----------
+  {
+    method: 'POST', path: '/api/quizzes/shuffle', tag: 'Quizzes', body: 'ShuffleInput', response: 'CombinedQuiz',
+    summary: 'Combine and shuffle questions from several quizzes',
+    handler: ({ request, env }) => handleShuffleQuizzes(request, env),
+  },
+  {
+    method: 'GET', path: '/api/quizzes', tag: 'Quizzes', response: 'QuizList',
+    summary: 'List quiz summaries',
+    query: {
+      limit: `Page size (default ${QUIZ_PAGE_DEFAULT}, max ${QUIZ_PAGE_MAX})`,
+      cursor: 'nextCursor from the previous page',
+      sort: QUIZ_SORT_FIELDS.join(' | '),
+      order: 'asc | desc',
+      subject: 'Subject filter',
+      topic: 'Topic filter',
+      difficulty: 'Comma-separated difficulties',
+      tags: 'Comma-separated tags',
+      author: 'Author filter',
+      q: 'Text search over title, subject, topic and tags',
+    },
+    handler: ({ request, env }) => handleListQuizzes(request, env),
+  },
+  {
+    method: 'POST', path: '/api/quizzes', tag: 'Quizzes', auth: 'user', scope: 'quizzes:write',
+    body: 'QuizInput', response: 'QuizSaved', status: 201,
+    summary: 'Create a quiz',
+    handler: ({ request, env }) => handleCreateQuiz(request, env),
+  },
+  {
+    method: 'POST', path: '/api/quizzes/import', tag: 'Quizzes', auth: 'user', scope: 'quizzes:write',
+    body: 'QuizImportInput', response: 'QuizImportResult', status: 201,
+    summary: 'Create a quiz from a CSV, Moodle GIFT or IMS QTI 2.1 file',
+    query: { dryRun: 'Convert and report per-question errors without saving' },
+    handler: ({ request, env }) => handleImportQuiz(request, env),
+  },
+  {
+    method: 'GET', path: '/api/attempts/stats', tag: 'Quizzes', auth: 'signedIn', response: 'AttemptStats',
+    summary: 'Best/average scores and per-topic accuracy over time',
+    handler: ({ request, env }) => handleAttemptStats(request, env),
+  },
+  {
+    method: 'POST', path: '/api/quizzes/:id/attempts', tag: 'Quizzes', auth: 'optional', body: 'AttemptInput', response: 'Attempt',
+    summary: 'Grade answers server-side (saved to history for signed-in users)',
+    handler: ({ params, request, env }) => handleSubmitAttempt(params.id, request, env),
+  },
+  {
+    method: 'GET', path: '/api/quizzes/:id/attempts', tag: 'Quizzes', auth: 'signedIn', response: 'AttemptList',
+    summary: "The caller's past attempts at a quiz",
+    handler: ({ params, request, env }) => handleListAttempts(params.id, request, env),
+  },
+  {
+    method: 'GET', path: '/api/quizzes/:id/revisions', tag: 'Quizzes', response: 'QuizRevisionList',
+    summary: 'List saved revisions',
+    handler: ({ params, env }) => handleListQuizRevisions(params.id, env),
+  },
+  {
+    method: 'GET', path: '/api/quizzes/:id/revisions/:revision', tag: 'Quizzes', response: 'Quiz',
+    summary: 'Get a specific revision',
+    handler: ({ params, env }) => handleGetQuizRevision(params.id, parseInt(params.revision, 10), env),
+  },
+  {
+    method: 'POST', path: '/api/quizzes/:id/revisions/:revision/restore', tag: 'Quizzes', auth: 'user', scope: 'quizzes:write', response: 'QuizSaved',
+    summary: 'Restore a revision as the latest (author or admin)',
+    handler: ({ params, request, env }) => handleRestoreQuizRevision(params.id, parseInt(params.revision, 10), request, env),
+  },
+  {
+    method: 'GET', path: '/api/quizzes/:id/diff', tag: 'Quizzes', response: 'QuizDiff',
+    summary: 'Diff two revisions',
+    query: { from: 'Older revision (required)', to: 'Newer revision (default: latest)' },
+    handler: ({ params, request, env }) => handleDiffQuizRevisions(params.id, request, env),
+  },
+  {
+    method: 'GET', path: '/api/quizzes/:id', tag: 'Quizzes', response: 'Quiz',
+    summary: 'Get a quiz',
+    query: { mode: 'student hides the answers' },
+    handler: ({ params, request, env }) => handleGetQuiz(params.id, request, env),
+  },
+  {
+    method: 'GET', path: '/api/quizzes/:id/export', tag: 'Quizzes', produces: Object.values(QUIZ_EXPORT_FORMATS).map(f => f.contentType),
+    summary: 'Export a quiz as a printable worksheet with answer key (html, md) or a question bank (csv, gift, single-file qti)',
+    query: {
+      format: 'html (default), md, csv, gift or qti',
+      part: 'For html and md: both (default), worksheet or key',
+    },
+    handler: ({ params, request, env }) => handleExportQuiz(params.id, request, env),
+  },
+  {
+    method: 'PUT', path: '/api/quizzes/:id', tag: 'Quizzes', auth: 'user', scope: 'quizzes:write', body: 'QuizInput', response: 'QuizSaved',
+    summary: 'Update a quiz (author or admin); the old version is kept as a revision',
+    handler: ({ params, request, env }) => handleUpdateQuiz(params.id, request, env),
+  },
+  {
+    method: 'DELETE', path: '/api/quizzes/:id', tag: 'Quizzes', auth: 'admin', scope: 'quizzes:admin', response: 'Success',
+    summary: 'Delete a quiz',
+    handler: ({ params, request, env }) => handleDeleteQuiz(params.id, request, env),
+  },
+
+  // ---------- Admin ----------
+  {
+    method: 'GET', path: '/api/admin/usage', tag: 'Admin', auth: 'admin', response: 'UsageReport',
+    summary: 'Per-app requests, errors, latency percentiles, bytes and routes',
+    query: { granularity: 'hour | day', from: 'Start (ISO date)', to: 'End (ISO date)', app: 'Only this app' },
+    handler: ({ request, env }) => handleUsageReport(request, env),
+  },
+  {
+    method: 'GET', path: '/api/admin/tokens', tag: 'Admin', auth: 'admin', response: 'AppTokenList',
+    summary: 'List app tokens',
+    handler: ({ request, env }) => handleListAppTokens(request, env),
+  },
+  {
+    method: 'POST', path: '/api/admin/tokens', tag: 'Admin', auth: 'admin', body: 'AppTokenInput', response: 'AppToken', status: 201,
+    summary: 'Issue an app token',
+    handler: ({ request, env }) => handleCreateAppToken(request, env),
+  },
+  {
+    method: 'POST', path: '/api/admin/tokens/:id/rotate', tag: 'Admin', auth: 'admin', response: 'AppToken',
+    summary: 'Issue a new secret for an app token',
+    handler: ({ params, request, env }) => handleRotateAppToken(params.id, request, env),
+  },
+  {
+    method: 'POST', path: '/api/admin/tokens/:id/deactivate', tag: 'Admin', auth: 'admin', response: 'AppToken',
+    summary: 'Revoke an app token',
+    handler: ({ params, request, env }) => handleDeactivateAppToken(params.id, request, env),
+  },
+  {
+    method: 'GET', path: '/api/admin/tokens/:id', tag: 'Admin', auth: 'admin', response: 'AppToken',
+    summary: 'Get an app token',
+    handler: ({ params, request, env }) => handleGetAppToken(params.id, request, env),
+  },
+  {
+    method: 'PATCH', path: '/api/admin/tokens/:id', tag: 'Admin', auth: 'admin', body: 'AppTokenInput', response: 'AppToken',
+    summary: 'Update name, owner, scopes, limits or active',
+    handler: ({ params, request, env }) => handleUpdateAppToken(params.id, request, env),
+  },
+  {
+    method: 'DELETE', path: '/api/admin/tokens/:id', tag: 'Admin', auth: 'admin', response: 'Success',
+    summary: 'Delete an app token',
+    handler: ({ params, request, env }) => handleDeleteAppToken(params.id, request, env),
+  },
+  {
+    method: 'POST', path: '/api/admin/quizzes/reindex', tag: 'Admin', auth: 'admin', scope: 'quizzes:admin', response: 'Success',
+    summary: 'Rebuild the KV quiz index',
+    handler: ({ request, env }) => handleReindexQuizzes(request, env),
+  },
+
+  // ---------- Notes (app token required) ----------
+  {
+    method: 'GET', path: '/api/notes', tag: 'Notes', auth: 'app', scope: 'notes:read', response: 'NoteList',
+    summary: 'List notes',
+    query: { sort: 'Upstream sort', limit: 'Page size', offset: 'Start', q: 'Upstream text filter' },
+    handler: ({ request, env, ctx, url, appId, rateLimit }) => {
+      // Counting goes through the POST routes (scoped and deduplicated)
+      url.searchParams.delete('counter');
+      url.searchParams.set('type', 'list');
+      return proxyToOpenNotes(new Request(url.toString(), request), env, appId, rateLimit, ctx);
+    },
+  },
+  {
+    method: 'POST', path: '/api/notes', tag: 'Notes', auth: 'app', scope: 'counters:write', response: 'CounterResult', deprecated: true,
+    summary: 'Count a view or download with ?noteId=&counter= (use /api/notes/{noteId}/views)',
+    handler: ({ request, env, ctx, url, appId, rateLimit }) => handleNoteCounter(url.searchParams.get('noteId'), url.searchParams.get('counter'), request, env, appId, rateLimit, ctx),
+  },
+  {
+    method: 'GET', path: '/api/search', tag: 'Notes', auth: 'app', scope: 'notes:read', response: 'SearchResults',
+    summary: 'Ranked note search with highlights and facets',
+    query: {
+      q: 'Words to match',
+      sort: SEARCH_SORTS.join(' | '),
+      limit: `Page size (default ${SEARCH_PAGE_DEFAULT}, max ${SEARCH_PAGE_MAX})`,
+      offset: 'Start',
+      format: 'Format filter',
+      author: 'Author filter',
+      verified: 'true for verified notes only',
+    },
+    handler: ({ request, env, ctx, appId, rateLimit }) => handleSearch(request, env, appId, rateLimit, ctx),
+  },
+  {
+    method: 'POST', path: '/api/notes/:noteId/views', tag: 'Notes', auth: 'app', scope: 'counters:write', response: 'CounterResult',
+    summary: 'Count a view, once per client every 30 minutes',
+    handler: ({ request, env, ctx, params, appId, rateLimit }) => handleNoteCounter(params.noteId, 'views', request, env, appId, rateLimit, ctx),
+  },
+  {
+    method: 'POST', path: '/api/notes/:noteId/downloads', tag: 'Notes', auth: 'app', scope: 'counters:write', response: 'CounterResult',
+    summary: 'Count a download, once per client every 24 hours',
+    handler: ({ request, env, ctx, params, appId, rateLimit }) => handleNoteCounter(params.noteId, 'downloads', request, env, appId, rateLimit, ctx),
+  },
+  {
+    method: 'GET', path: '/api/notes/:noteId', tag: 'Notes', auth: 'app', scope: 'notes:read', response: 'Note',
+    summary: 'Get a note by ID or name',
+    handler: ({ request, env, ctx, url, params, appId, rateLimit }) => {
+      url.searchParams.delete('counter');
+      url.searchParams.set('type', 'note');
+      url.searchParams.set('noteId', params.noteId);
+      return proxyToOpenNotes(new Request(url.toString(), request), env, appId, rateLimit, ctx);
+    },
+  },
+  {
+    method: 'POST', path: '/api/notes/:noteId', tag: 'Notes', auth: 'app', scope: 'counters:write', response: 'CounterResult', deprecated: true,
+    summary: 'Count a view or download with ?counter= (use /api/notes/{noteId}/views)',
+    handler: ({ request, env, ctx, url, params, appId, rateLimit }) => handleNoteCounter(params.noteId, url.searchParams.get('counter'), request, env, appId, rateLimit, ctx),
+  },
+];
+
+// Path patterns compiled once, in table order
+const COMPILED_ROUTES = ROUTES.map(route => {
+  const keys = [];
+  const source = route.path.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return `(${ROUTE_PARAM_PATTERNS[key]})`;
+  });
+  return { route, keys, pattern: new RegExp(`^${source}$`) };
+});
+
+/**
+ * Find the route for a request. `allowed` lists the methods the path does
+ * support when none matched the request's method; `params` is null when the path
+ * has a malformed %-escape.
+ */
+function matchRoute(method, path) {
+  const allowed = [];
+  for (const { route, keys, pattern } of COMPILED_ROUTES) {
+    const match = path.match(pattern);
+    if (!match) continue;
+    if (route.method !== method) {
+      allowed.push(route.method);
+      continue;
+    }
+    try {
+      return { route, params: Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(match[i + 1])])) };
+    } catch (e) {
+      // A malformed %-escape (URIError); the caller answers 400 rather than guessing what was meant
+      return { route, params: null };
+    }
+  }
+  return { route: null, allowed: [...new Set(allowed)] };
+}
+
+/**
+ * Validate the app token, scope and rate limit for an 'app' route. Fills in
+ * `appId` and `rateLimit` on the context, or returns the rejection.
+ */
+async function authorizeAppRequest(route, context) {
+  const { request, env, ctx, url } = context;
+  const appToken = request.headers.get('X-App-Token');
+  const authHeader = request.headers.get('Authorization');
+  const token = appToken || (authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null);
+
+  // Allow requests from the official frontend without token
+  const origin = request.headers.get('Origin') || '';
+  const referer = request.headers.get('Referer') || '';
+  const isOfficialFrontend = origin.includes('nagusamecs.github.io') ||
+                             referer.includes('nagusamecs.github.io');
+  if (isOfficialFrontend) {
+    context.appId = 'official-frontend';
+    return null;
+  }
+
+  const validation = await validateAppToken(token, env);
+  if (!validation.valid) {
+    return errorResponse(401, 'unauthorized', 'Valid X-App-Token header required. Request access at https://nagusamecs.github.io/OpenNotesAPI/');
+  }
+
+  const appId = validation.app;
+  const denied = checkAppTokenScope(appId, appTokenScopes(validation.config), route.scope);
+  if (denied) return denied;
+
+  // Check rate limit
+  const rateLimit = await checkRateLimit(appId, validation.config, url.pathname, env);
+  if (!rateLimit.allowed) {
+    recordUsage({ appId, route: rateLimitRoute(url.pathname), status: 429 }, env, ctx);
+    const retryAfter = Math.ceil((rateLimit.resetAt - Date.now()) / 1000);
+    return errorResponse(429, 'rate_limited', 'Rate limit exceeded', {
+      details: { retryAfter },
+      headers: { 'Retry-After': retryAfter.toString(), ...rateLimitHeaders(rateLimit) },
+    });
+  }
+
+  context.appId = appId;
+  context.rateLimit = rateLimit;
+  return null;
+}
+
+/**
+ * Match a request to its route, check its auth and run the handler
+ */
+async function routeRequest(context) {
+  const { request, env, path } = context;
+  
+  // Handle CORS preflight
+  if (request.method === 'OPTIONS') {
+    return handleOptions();
+  }
+  
+  const { route, params, allowed } = matchRoute(request.method, path);
+  if (!route) {
+    if (allowed.length > 0) {
+      return errorResponse(405, 'method_not_allowed', `${request.method} is not allowed on ${path}`, {
+        details: { path, allowed },
+        headers: { 'Allow': [...allowed, 'OPTIONS'].join(', ') },
+      });
+    }
+    return errorResponse(404, 'not_found', `No endpoint at ${path}`, { details: { path } });
+  }
+  if (!params) {
+    return errorResponse(400, 'invalid_request', 'The path contains a malformed percent-encoding', { details: { path } });
+  }
+  context.route = route;
+  context.params = params;
+  
+  // Seed built-in quizzes on first request (health checks run first so a
+  // KV outage is reported rather than thrown)
+  if (!route.skipSeed) {
+    await seedQuizzes(env);
+  }
+  
+  if (route.auth === 'app') {
+    const denied = await authorizeAppRequest(route, context);
+    if (denied) return denied;
+  } else if (route.scope) {
+    // Other scoped routes also take user and admin tokens; only app tokens are scoped
+    const auth = await validateQuizToken(request, env);
+    if (auth.role === 'app') {
+      context.appId = auth.app;
+      const denied = checkAppTokenScope(auth.app, auth.scopes, route.scope);
+      if (denied) return denied;
+    }
+  }
+  
+  return route.handler(context);
+}
+
+/**
+ * Documented routes grouped by path, for the API info endpoint
+ */
+function apiInfoEndpoints() {
+  const endpoints = {};
+  for (const route of ROUTES) {
+    if (route.hidden) continue;
+    endpoints[route.path] = { ...endpoints[route.path], [route.method]: route.summary };
+  }
+  return endpoints;
+}
+
+// ---------- OpenAPI ----------
+
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+
+const OPENAPI_SECURITY_SCHEMES = {
+  appToken: { type: 'apiKey', in: 'header', name: 'X-App-Token', description: 'App token (also accepted as a Bearer token on note routes)' },
+  bearerAuth: { type: 'http', scheme: 'bearer' },
+  userToken: { type: 'apiKey', in: 'header', name: 'X-Auth-Token', description: 'Signed-in user token from /auth or the device flow' },
+  adminToken: { type: 'apiKey', in: 'header', name: 'X-Quiz-Token', description: 'ADMIN_TOKEN' },
+};
+
+// Security requirement alternatives for each route `auth` value
+const OPENAPI_SECURITY = {
+  app: [{ appToken: [] }, { bearerAuth: [] }],
+  user: [{ userToken: [] }, { appToken: [] }, { adminToken: [] }],
+  signedIn: [{ userToken: [] }],
+  optional: [{}, { userToken: [] }, { appToken: [] }, { adminToken: [] }],
+  admin: [{ adminToken: [] }],
+};
+
+const OPENAPI_SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message', 'details', 'requestId'],
+        properties: {
+          code: { type: 'string', examples: ['validation_failed', 'quiz_not_found', 'insufficient_scope'] },
+          message: { type: 'string' },
+          details: {
+            type: ['object', 'null'],
+            properties: { errors: { type: 'array', items: { type: 'string' } } },
+            additionalProperties: true,
+          },
+          requestId: { type: 'string' },
+        },
+      },
+    },
+  },
+  Success: {
+    type: 'object',
+    properties: { success: { type: 'boolean' } },
+    additionalProperties: true,
+  },
+  ApiInfo: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      version: { type: 'string' },
+      status: { type: 'string' },
+      endpoints: { type: 'object', additionalProperties: { type: 'object', additionalProperties: { type: 'string' } } },
+      openapi: { type: 'string' },
+    },
+  },
+  Liveness: {
+    type: 'object',
+    properties: {
+      status: { const: 'alive' },
+      version: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      uptimeSeconds: { type: 'integer' },
+    },
+  },
+  Health: {
+    type: 'object',
+    properties: {
+      status: { enum: ['healthy', 'degraded', 'unhealthy'] },
+      ready: { type: 'boolean' },
+      version: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      uptimeSeconds: { type: 'integer' },
+      dependencies: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            status: { enum: ['up', 'down'] },
+            latencyMs: { type: 'integer' },
+            critical: { type: 'boolean' },
+            backend: { type: 'string' },
+            error: { type: 'string' },
+          },
+        },
+      },
+      seedQuizzes: { type: 'object' },
+    },
+  },
+
+  // Notes
+  Note: {
+    type: 'object',
+    description: 'A note as returned by the upstream OpenNotes API',
+    properties: {
+      id: { type: ['integer', 'string'] },
+      name: { type: 'string', description: 'File name' },
+      title: { type: 'string' },
+      auth: { type: 'string', description: 'Author' },
+      fmt: { type: 'string', description: 'File format' },
+      v: { type: 'integer', description: 'Views' },
+      d: { type: 'integer', description: 'Downloads' },
+      upd: { type: 'string', description: 'Last updated' },
+      size: { type: ['string', 'integer'] },
+      dl: { type: 'string', format: 'uri', description: 'Download URL' },
+      is_verified: { type: 'boolean' },
+    },
+    additionalProperties: true,
+  },
+  NoteList: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: schemaRef('Note') },
+      meta: { type: 'object', properties: { total: { type: 'integer' } }, additionalProperties: true },
+    },
+  },
+  SearchResults: {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          allOf: [schemaRef('Note'), {
+            type: 'object',
+            properties: {
+              score: { type: 'number' },
+              highlights: {
+                type: 'object',
+                description: '[start, end) ranges of matched words per field',
+                additionalProperties: { type: 'array', items: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2 } },
+              },
+            },
+          }],
+        },
+      },
+      facets: {
+        type: 'object',
+        properties: Object.fromEntries(['format', 'author', 'verified']
+          .map(facet => [facet, { type: 'object', additionalProperties: { type: 'integer' } }])),
+      },
+      meta: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          sort: { enum: SEARCH_SORTS },
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          hasMore: { type: 'boolean' },
+          indexedNotes: { type: 'integer' },
+          indexedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+    },
+  },
+  CounterResult: {
+    type: 'object',
+    description: 'The upstream counter response, or `counted: false` when the client already counted this note recently',
+    properties: {
+      noteId: { type: 'string' },
+      counter: { enum: NOTE_COUNTERS },
+      counted: { type: 'boolean' },
+    },
+    additionalProperties: true,
+  },
+
+  // Quizzes
+  Question: {
+    type: 'object',
+    required: ['type', 'question'],
+    properties: {
+      id: { type: 'string', readOnly: true },
+      type: { enum: QUESTION_TYPES },
+      question: { type: 'string', description: 'Supports $LaTeX$; fitb marks blanks with ___' },
+      options: { type: 'array', items: { type: 'string' }, description: 'mcq' },
+      correctAnswers: { type: 'array', items: { type: ['integer', 'string'] }, description: 'mcq option indexes, or accepted frq answers' },
+      correctAnswer: { type: 'boolean', description: 'tf' },
+      blanks: { type: 'array', items: { type: 'string' }, description: 'fitb answers, one per ___' },
+      leftItems: { type: 'array', items: { type: 'string' }, description: 'matching' },
+      rightItems: { type: 'array', items: { type: 'string' }, description: 'matching' },
+      correctPairs: { type: 'object', additionalProperties: { type: 'integer' }, description: 'matching: left index -> right index' },
+      tolerance: { type: ['number', 'null'], minimum: 0, description: 'Numeric tolerance for frq/fitb' },
+      explanation: { type: ['string', 'null'] },
+      hint: { type: ['string', 'null'] },
+      points: { type: 'number', exclusiveMinimum: 0, default: 1 },
+      svg: { type: ['string', 'null'], description: 'Inline <svg> diagram using only allowlisted drawing elements' },
+    },
+  },
+  QuizInput: {
+    type: 'object',
+    required: ['title', 'subject', 'questions'],
+    properties: {
+      title: { type: 'string' },
+      subject: { type: 'string' },
+      topic: { type: ['string', 'null'] },
+      difficulty: { enum: Object.keys(DIFFICULTY_RANK), default: 'medium' },
+      description: { type: 'string' },
+      tags: { type: 'array', maxItems: QUIZ_MAX_TAGS, items: { type: 'string', minLength: 1, maxLength: QUIZ_TAG_MAX_LENGTH } },
+      author: { type: 'string' },
+      questions: { type: 'array', minItems: 1, items: schemaRef('Question') },
+    },
+  },
+  Quiz: {
+    allOf: [schemaRef('QuizInput'), {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        schemaVersion: { type: 'string' },
+        revision: { type: 'integer' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        studentMode: { type: 'boolean' },
+      },
+    }],
+  },
+  QuizSummary: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      subject: { type: 'string' },
+      topic: { type: ['string', 'null'] },
+      difficulty: { type: 'string' },
+      questionCount: { type: 'integer' },
+      author: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      tags: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  QuizList: {
+    type: 'object',
+    properties: {
+      quizzes: { type: 'array', items: schemaRef('QuizSummary') },
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      nextCursor: { type: ['string', 'null'] },
+      sort: { enum: QUIZ_SORT_FIELDS },
+      order: { enum: ['asc', 'desc'] },
+      filters: { type: 'object' },
+    },
+  },
+  QuizImportInput: {
+    type: 'object',
+    required: ['format', 'content', 'subject'],
+    properties: {
+      format: { enum: QUIZ_IMPORT_FORMATS },
+      content: { type: 'string', description: 'Text of the CSV, GIFT or QTI 2.1 XML file' },
+      title: { type: 'string', description: 'Defaults to the QTI assessmentTest title' },
+      subject: { type: 'string' },
+      topic: { type: ['string', 'null'] },
+      difficulty: { enum: Object.keys(DIFFICULTY_RANK), default: 'medium' },
+      description: { type: 'string' },
+      tags: { type: 'array', maxItems: QUIZ_MAX_TAGS, items: { type: 'string', minLength: 1, maxLength: QUIZ_TAG_MAX_LENGTH } },
+      author: { type: 'string' },
+      dryRun: { type: 'boolean', default: false },
+    },
+  },
+  QuizImportReport: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer', description: '1-based question number' },
+      source: { type: 'string', description: 'Where the question came from, e.g. line 4 or item "q2"' },
+      type: { type: ['string', 'null'] },
+      errors: { type: 'array', items: { type: 'string' } },
+      warnings: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  QuizImportResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      quiz: {
+        type: 'object',
+        description: 'The saved quiz summary, or the converted quiz on a dryRun',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          questionCount: { type: 'integer' },
+        },
+      },
+      imported: {
+        type: 'object',
+        properties: {
+          questions: { type: 'integer' },
+          warnings: { type: 'array', items: { type: 'string' } },
+        },
+      },
+      valid: { type: 'boolean', description: 'dryRun only' },
+      questions: { type: 'array', items: schemaRef('QuizImportReport'), description: 'dryRun only' },
+      errors: { type: 'array', items: { type: 'string' }, description: 'dryRun only' },
+    },
+  },
+  QuizSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      quiz: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          questionCount: { type: 'integer' },
+          revision: { type: 'integer' },
+          restoredFrom: { type: 'integer' },
+          updatedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+    },
+  },
+  QuizRevisionList: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      currentRevision: { type: 'integer' },
+      revisions: { type: 'array', items: { type: 'object', description: 'Revision metadata (revision, updatedAt, author, ...)' } },
+      total: { type: 'integer' },
+    },
+  },
+  QuizDiff: {
+    type: 'object',
+    description: 'Field and per-question changes between two revisions',
+    additionalProperties: true,
+  },
+  ShuffleInput: {
+    type: 'object',
+    required: ['quizIds'],
+    properties: {
+      quizIds: { type: 'array', minItems: 1, items: { type: 'string' } },
+      questionCount: { type: 'integer', minimum: 1, description: 'Keep only this many questions' },
+      shuffle: { type: 'boolean', default: true },
+    },
+  },
+  CombinedQuiz: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      subject: { type: 'string' },
+      description: { type: 'string' },
+      questions: {
+        type: 'array',
+        items: {
+          allOf: [schemaRef('Question'), {
+            type: 'object',
+            properties: {
+              sourceQuiz: { type: 'string' },
+              sourceQuestionId: { type: 'string' },
+              sourceTitle: { type: 'string' },
+            },
+          }],
+        },
+      },
+      sourceQuizzes: { type: 'array', items: { type: 'string' } },
+      createdAt: { type: 'string', format: 'date-time' },
+      isTemporary: { const: true },
+    },
+  },
+  AttemptInput: {
+    type: 'object',
+    required: ['answers'],
+    properties: {
+      answers: {
+        type: 'object',
+        description: 'Answers keyed by question id, e.g. { "q1": [0], "q2": "320" }',
+        additionalProperties: true,
+      },
+      timeTaken: { type: 'number', description: 'Seconds' },
+    },
+  },
+  Attempt: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      quizId: { type: 'string' },
+      quizTitle: { type: 'string' },
+      subject: { type: 'string' },
+      topic: { type: ['string', 'null'] },
+      revision: { type: 'integer' },
+      score: { type: 'number' },
+      maxScore: { type: 'number' },
+      percent: { type: 'integer' },
+      correctCount: { type: 'integer' },
+      total: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            type: { enum: QUESTION_TYPES },
+            answered: { type: 'boolean' },
+            correct: { type: 'boolean' },
+            points: { type: 'number' },
+            earned: { type: 'number' },
+            answer: {},
+            correctAnswer: {},
+            explanation: { type: ['string', 'null'] },
+          },
+        },
+      },
+      timeTaken: { type: ['number', 'null'] },
+      submittedAt: { type: 'string', format: 'date-time' },
+      saved: { type: 'boolean' },
+    },
+  },
+  AttemptList: {
+    type: 'object',
+    properties: {
+      quizId: { type: 'string' },
+      stats: { type: 'object' },
+      attempts: { type: 'array', items: schemaRef('Attempt') },
+      total: { type: 'integer' },
+    },
+  },
+  AttemptStats: {
+    type: 'object',
+    description: 'Best and average scores per quiz, per-topic accuracy and a score timeline',
+    additionalProperties: true,
+  },
+
+  // Auth
+  AuthCodeInput: {
+    type: 'object',
+    required: ['token'],
+    properties: { token: { type: 'string' }, user: { type: 'object' } },
+  },
+  AuthCode: {
+    type: 'object',
+    properties: { code: { type: 'string', pattern: '^\\d{6}$' }, expiresIn: { type: 'integer' } },
+  },
+  AuthToken: {
+    type: 'object',
+    properties: { token: { type: 'string' }, user: { type: ['object', 'null'] } },
+  },
+  DeviceCode: {
+    type: 'object',
+    properties: {
+      device_code: { type: 'string' },
+      user_code: { type: 'string', examples: ['BCDF-GHJK'] },
+      verification_uri: { type: 'string', format: 'uri' },
+      verification_uri_complete: { type: 'string', format: 'uri' },
+      expires_in: { type: 'integer' },
+      interval: { type: 'integer' },
+    },
+  },
+  DeviceApproveInput: {
+    type: 'object',
+    required: ['user_code'],
+    properties: {
+      user_code: { type: 'string' },
+      token: { type: 'string', description: 'Required when approving' },
+      user: { type: 'object' },
+      approve: { type: 'boolean', default: true },
+    },
+  },
+  DeviceApproval: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, status: { enum: ['approved', 'denied'] } },
+  },
+  DeviceTokenInput: {
+    type: 'object',
+    required: ['grant_type', 'device_code'],
+    properties: { grant_type: { const: DEVICE_GRANT_TYPE }, device_code: { type: 'string' } },
+  },
+  DeviceToken: {
+    type: 'object',
+    description: 'On failure: { error: authorization_pending | slow_down | access_denied | expired_token, error_description }',
+    properties: {
+      access_token: { type: 'string' },
+      token_type: { const: 'Bearer' },
+      user: { type: ['object', 'null'] },
+    },
+  },
+
+  // Admin
+  AppTokenInput: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+      name: { type: 'string', maxLength: 100 },
+      owner: { type: ['string', 'null'] },
+      scopes: { type: 'array', items: { enum: APP_TOKEN_SCOPES } },
+      active: { type: 'boolean' },
+      rateLimit: { type: 'integer', minimum: 1 },
+      rateLimitWindow: { type: 'integer', minimum: 1 },
+      rateLimitAlgorithm: { enum: APP_TOKEN_ALGORITHMS },
+      routeLimits: { type: 'object' },
+    },
+  },
+  AppToken: {
+    allOf: [schemaRef('AppTokenInput'), {
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'Only returned by create and rotate' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        rotatedAt: { type: ['string', 'null'], format: 'date-time' },
+        lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+      },
+    }],
+  },
+  AppTokenList: {
+    type: 'object',
+    properties: {
+      tokens: { type: 'array', items: schemaRef('AppToken') },
+      total: { type: 'integer' },
+    },
+  },
+  UsageReport: {
+    type: 'object',
+    description: 'Per-app requests, errors, bytes, p50/p95/p99 latency, status codes, routes and a time series',
+    additionalProperties: true,
+  },
+};
+
+/**
+ * Stable operationId from method and path, e.g. getApiQuizzesByIdRevisions
+ */
+function openApiOperationId(route) {
+  const words = route.path.split(/[/.-]/).filter(Boolean)
+    .map(part => (part.startsWith(':') ? `by${part.charAt(1).toUpperCase()}${part.slice(2)}` : part))
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1));
+  return route.method.toLowerCase() + (words.join('') || 'Root');
+}
+
+/**
+ * Build the OpenAPI 3.1 document from the route table
+ */
+function buildOpenApiDocument(origin) {
+  const paths = {};
+  for (const route of ROUTES) {
+    if (route.hidden) continue;
+
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string', pattern: `^${ROUTE_PARAM_PATTERNS[name]}$` },
+    }));
+    const queryParams = Object.entries(route.query || {}).map(([name, description]) => ({
+      name,
+      in: 'query',
+      required: false,
+      description,
+      schema: { type: 'string' },
+    }));
+    const status = String(route.status || 200);
+
+    const operation = {
+      operationId: openApiOperationId(route),
+      summary: route.summary,
+      tags: [route.tag],
+      ...(route.deprecated && { deprecated: true }),
+      ...((pathParams.length || queryParams.length) && { parameters: [...pathParams, ...queryParams] }),
+      ...(route.body && {
+        requestBody: { required: true, content: { 'application/json': { schema: schemaRef(route.body) } } },
+      }),
+      responses: {
+        [status]: route.response
+          ? { description: 'Success', content: { 'application/json': { schema: schemaRef(route.response) } } }
+          : route.produces
+            ? { description: 'Success', content: Object.fromEntries(route.produces.map(type => [type.split(';')[0], { schema: { type: 'string' } }])) }
+            : { description: status === '302' ? 'Redirect' : 'Success' },
+        default: { description: 'Error', content: { 'application/json': { schema: schemaRef('Error') } } },
+      },
+      ...(OPENAPI_SECURITY[route.auth] && {
+        // App tokens with the quizzes:admin scope may also use the admin quiz routes
+        security: route.auth === 'admin' && route.scope ? [...OPENAPI_SECURITY.admin, { appToken: [] }] : OPENAPI_SECURITY[route.auth],
+      }),
+      ...(route.scope && { 'x-required-scope': route.scope }),
+    };
+
+    paths[openApiPath] = { ...paths[openApiPath], [route.method.toLowerCase()]: operation };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'OpenNotes API Gateway',
+      version: GATEWAY_VERSION,
+      description: 'Secure gateway to the OpenNotes API, plus the quiz API. App tokens need the scope in `x-required-scope` for each route.',
+      license: { name: 'MIT' },
+    },
+    externalDocs: { url: 'https://nagusamecs.github.io/OpenNotesAPI/docs.html' },
+    servers: [{ url: origin }],
+    tags: [...new Set(ROUTES.filter(route => !route.hidden).map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: OPENAPI_SECURITY_SCHEMES,
+      schemas: OPENAPI_SCHEMAS,
+    },
+  };
+}
+
+/**
+ * Handle GET /openapi.json
+ */
+function handleOpenApi(url) {
+  return new Response(JSON.stringify(buildOpenApiDocument(url.origin)), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'public, max-age=300',
+      ...corsHeaders,
+      ...securityHeaders(),
+    },
+  });
+}
+
+/**
+ * Main request handler
+ */
+export default {
+  async fetch(request, env, ctx) {
+    const startTime = Date.now();
+    const requestId = resolveRequestId(request);
+    const url = new URL(request.url);
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+    const context = {
+      request: withRequestIdHeader(request, requestId),
+      env, ctx, url, path, requestId,
+      route: null, params: {}, appId: 'anonymous', rateLimit: null,
+    };
+    
+    let response;
+    try {
+      response = await routeRequest(context);
+    } catch (error) {
+      logError('unhandled_error', error, { requestId, method: request.method, path });
+      response = errorResponse(500, 'internal_error', 'An unexpected error occurred');
+    }
+    
+    logEvent(response.status >= 500 ? 'error' : 'info', 'request', {
+      requestId,
+      method: request.method,
+      path,
+      route: context.route?.path ?? null,
+      appId: context.appId,
+      status: response.status,
+      latencyMs: Date.now() - startTime,
     });
+    return withRequestId(await stampErrorRequestId(response, requestId), requestId);
   },
 };
@@ -0,0 +1,74 @@
+/**
+ * Test helpers: an in-memory KV namespace and a request helper that drives
+ * the worker's fetch handler the way the Workers runtime does.
+ */
+
+import worker from '../index.js';
+
+// The worker logs one JSON line per request; keep test output readable
+console.log = () => {};
+
+/**
+ * In-memory stand-in for a KV namespace (get/put/delete/list with metadata)
+ */
+export function memoryKv() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key, type) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, options = {}) {
+      entries.set(key, {
+        value,
+        metadata: options.metadata,
+        expiresAt: options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null,
+      });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = '', cursor, limit = 1000 } = {}) {
+      const names = [...entries.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      return {
+        keys: names.slice(start, start + limit).map(name => ({ name, metadata: entries.get(name).metadata })),
+        list_complete: start + limit >= names.length,
+        cursor: String(start + limit),
+      };
+    },
+  };
+}
+
+/**
+ * Send a request through a worker module; returns { status, headers, body }
+ * with body parsed as JSON when it is JSON. Work handed to ctx.waitUntil
+ * finishes before this returns, so cache writes are visible to the next call.
+ */
+export async function request(env, method, path, { body, headers = {}, handler = worker } = {}) {
+  const background = [];
+  const response = await handler.fetch(new Request(`https://gateway.test${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  }), env, { waitUntil: promise => background.push(promise), passThroughOnException() {} });
+  
+  const text = await response.text();
+  await Promise.all(background);
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    // Exports and other text bodies stay as strings
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+export const ADMIN_TOKEN = 'test-admin-token';
+export const ADMIN = { 'X-Quiz-Token': ADMIN_TOKEN };
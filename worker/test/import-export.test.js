@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { memoryKv, request, ADMIN, ADMIN_TOKEN } from './helpers.js';
+
+const SVG = '<svg viewBox="0 0 10 10" xmlns="http://www.w3.org/2000/svg"><rect width="5" height="5" fill="#000"/></svg>';
+
+const QUIZ = {
+  title: 'Round trip',
+  subject: 'Math',
+  questions: [
+    { type: 'mcq', question: 'Pick $x^2$', options: ['$x^2$', 'y', 'z'], correctAnswers: [0], explanation: 'Because' },
+    { type: 'tf', question: 'True?', correctAnswer: false, svg: SVG },
+    { type: 'frq', question: 'Pi to 2dp', correctAnswers: ['3.14'] },
+    { type: 'fitb', question: 'The capital of France is ___.', blanks: ['Paris'] },
+    { type: 'matching', question: 'Match', leftItems: ['H', 'O'], rightItems: ['Hydrogen', 'Oxygen'], correctPairs: { 0: 0, 1: 1 } },
+  ],
+};
+
+// The parts of a question every import format must carry over
+function answerKey({ type, options, correctAnswers, correctAnswer, blanks, leftItems, rightItems, correctPairs }) {
+  return { type, options, correctAnswers, correctAnswer, blanks, leftItems, rightItems, correctPairs };
+}
+
+async function createQuiz(env) {
+  const response = await request(env, 'POST', '/api/quizzes', { headers: ADMIN, body: QUIZ });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.quiz.id;
+}
+
+for (const format of ['csv', 'gift', 'qti']) {
+  test(`${format} exports import back to the same questions`, async () => {
+    const env = { ADMIN_TOKEN, QUIZ_KV: memoryKv() };
+    const id = await createQuiz(env);
+    
+    const exported = await request(env, 'GET', `/api/quizzes/${id}/export?format=${format}`);
+    assert.equal(exported.status, 200);
+    
+    const imported = await request(env, 'POST', '/api/quizzes/import', {
+      headers: ADMIN,
+      body: { format, content: exported.body, subject: 'Math', title: 'Imported', dryRun: true },
+    });
+    assert.equal(imported.status, 200, JSON.stringify(imported.body));
+    assert.deepEqual(imported.body.quiz.questions.map(answerKey), QUIZ.questions.map(answerKey));
+  });
+}
+
+test('the QTI export says it is a single-file export, not a content package', async () => {
+  const env = { ADMIN_TOKEN, QUIZ_KV: memoryKv() };
+  const id = await createQuiz(env);
+  const { body } = await request(env, 'GET', `/api/quizzes/${id}/export?format=qti`);
+  assert.match(body, /imsqti_v2p1/);
+  assert.match(body, /not a conformant QTI content package/);
+});
+
+test('the HTML export carries its CSP and embeds diagrams as images', async () => {
+  const env = { ADMIN_TOKEN, QUIZ_KV: memoryKv() };
+  const id = await createQuiz(env);
+  const { status, body } = await request(env, 'GET', `/api/quizzes/${id}/export?format=html`);
+  assert.equal(status, 200);
+  assert.match(body, /<meta http-equiv="Content-Security-Policy"/);
+  assert.match(body, /<img src="data:image\/svg\+xml;base64,/);
+  assert.doesNotMatch(body, /<rect/);
+});
+
+test('diagrams outside the SVG allowlist are rejected', async () => {
+  const env = { ADMIN_TOKEN, QUIZ_KV: memoryKv() };
+  for (const svg of ['<svg><foreignObject><div/></foreignObject></svg>', '<svg><image href="x"/onerror=alert(1)></svg>', '<svg><rect onload="x()"/></svg>']) {
+    const response = await request(env, 'POST', '/api/quizzes', {
+      headers: ADMIN,
+      body: { ...QUIZ, questions: [{ type: 'tf', question: 'Q', correctAnswer: true, svg }] },
+    });
+    assert.equal(response.status, 400, svg);
+  }
+});
+
+test('imports report the lines they could not read', async () => {
+  const env = { ADMIN_TOKEN, QUIZ_KV: memoryKv() };
+  const csv = 'type,question,options,answer\nmcq,"Pick, one","a|b",A\nweird,x,,\n';
+  const { status, body } = await request(env, 'POST', '/api/quizzes/import', {
+    headers: ADMIN,
+    body: { format: 'csv', content: csv, subject: 'S', title: 'T', dryRun: true },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.valid, false);
+  assert.equal(body.quiz.questions.length, 1);
+  assert.equal(body.questions[1].source, 'line 3');
+  assert.match(body.questions[1].errors[0], /Unknown question type "weird"/);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { memoryKv, request, ADMIN, ADMIN_TOKEN } from './helpers.js';
+
+const QUESTIONS = [
+  { id: 'q1', type: 'mcq', question: 'Pick both', options: ['a', 'b', 'c'], correctAnswers: [0, 2], points: 2 },
+  { id: 'q2', type: 'tf', question: 'True?', correctAnswer: false },
+  { id: 'q3', type: 'frq', question: 'Pi', correctAnswers: ['3.14'], tolerance: 0.01 },
+  { id: 'q4', type: 'fitb', question: '___ and ___', blanks: ['salt', 'pepper'] },
+  { id: 'q5', type: 'matching', question: 'Match', leftItems: ['H', 'O'], rightItems: ['Oxygen', 'Hydrogen'], correctPairs: { 0: 1, 1: 0 } },
+];
+
+function quizEnv() {
+  return { ADMIN_TOKEN, QUIZ_KV: memoryKv() };
+}
+
+async function createQuiz(env, quiz) {
+  const response = await request(env, 'POST', '/api/quizzes', { headers: ADMIN, body: quiz });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.quiz.id;
+}
+
+test('attempts are graded server-side with points per question', async () => {
+  const env = quizEnv();
+  const id = await createQuiz(env, { title: 'Grading', subject: 'Test', questions: QUESTIONS });
+  
+  const { status, body } = await request(env, 'POST', `/api/quizzes/${id}/attempts`, {
+    body: { answers: { q1: [2, 0], q2: 'false', q3: '3.145', q4: ['Salt', 'sugar'] } },
+  });
+  
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map(result => result.correct), [true, true, true, false, false]);
+  assert.equal(body.results[4].answered, false);
+  assert.equal(body.score, 4);
+  assert.equal(body.maxScore, 6);
+  assert.equal(body.percent, 67);
+  assert.equal(body.correctCount, 3);
+  assert.equal(body.saved, false);
+});
+
+test('matching and partially selected choices grade as wrong', async () => {
+  const env = quizEnv();
+  const id = await createQuiz(env, { title: 'Grading', subject: 'Test', questions: QUESTIONS });
+  
+  const { body } = await request(env, 'POST', `/api/quizzes/${id}/attempts`, {
+    body: { answers: { q1: [0], q5: { 0: 1, 1: 0 } } },
+  });
+  
+  assert.equal(body.results[0].correct, false);
+  assert.equal(body.results[4].correct, true);
+  assert.equal(body.results[4].correctAnswer, 'H → Hydrogen, O → Oxygen');
+});
+
+test('attempts without an answers object are rejected', async () => {
+  const env = quizEnv();
+  const id = await createQuiz(env, { title: 'Grading', subject: 'Test', questions: QUESTIONS });
+  
+  const response = await request(env, 'POST', `/api/quizzes/${id}/attempts`, { body: { answers: [1] } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, 'validation_failed');
+});
+
+test('cursors page through every quiz exactly once', async () => {
+  const env = quizEnv();
+  const seen = [];
+  let cursor = '';
+  do {
+    const { status, body } = await request(env, 'GET', `/api/quizzes?limit=4&sort=title${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(status, 200);
+    seen.push(...body.quizzes.map(quiz => quiz.title));
+    cursor = body.nextCursor;
+  } while (cursor);
+  
+  const { body: all } = await request(env, 'GET', '/api/quizzes?limit=100');
+  assert.equal(seen.length, all.total);
+  assert.equal(new Set(seen).size, seen.length);
+  assert.deepEqual(seen, [...seen].sort((a, b) => a.localeCompare(b)));
+});
+
+test('malformed cursors are rejected', async () => {
+  for (const cursor of ['zz', 'bm90LWpzb24', 'WyJvbmx5LW9uZSJd']) {
+    const { status, body } = await request(quizEnv(), 'GET', `/api/quizzes?cursor=${cursor}`);
+    assert.equal(status, 400, cursor);
+    assert.deepEqual(body.error.details.errors, ['cursor is invalid']);
+  }
+});
+
+test('the KV index follows edits and deletes', async () => {
+  const env = quizEnv();
+  const quiz = { title: 'Moles', subject: 'Chemistry Extra', author: 'me', tags: ['stoich'], questions: QUESTIONS };
+  const id = await createQuiz(env, quiz);
+  
+  let { body } = await request(env, 'GET', '/api/quizzes?subject=chemistry%20ex&tags=stoich');
+  assert.deepEqual(body.quizzes.map(q => q.id), [id]);
+  
+  await request(env, 'PUT', `/api/quizzes/${id}`, { headers: ADMIN, body: { ...quiz, subject: 'Biology', tags: ['cells'] } });
+  ({ body } = await request(env, 'GET', '/api/quizzes?tags=stoich'));
+  assert.equal(body.total, 0);
+  ({ body } = await request(env, 'GET', '/api/quizzes?subject=bio&tags=cells&author=ME'));
+  assert.deepEqual(body.quizzes.map(q => q.id), [id]);
+  
+  await request(env, 'DELETE', `/api/quizzes/${id}`, { headers: ADMIN });
+  ({ body } = await request(env, 'GET', '/api/quizzes?tags=cells'));
+  assert.equal(body.total, 0);
+  assert.deepEqual([...env.QUIZ_KV.entries.keys()].filter(key => key.includes(id)), []);
+});
+
+test('concurrent saves of different quizzes both stay indexed', async () => {
+  const env = quizEnv();
+  await request(env, 'GET', '/api/quizzes');
+  const quiz = { title: 'Same tag', subject: 'Test', tags: ['shared'], questions: QUESTIONS };
+  const ids = await Promise.all([createQuiz(env, quiz), createQuiz(env, quiz)]);
+  
+  const { body } = await request(env, 'GET', '/api/quizzes?tags=shared');
+  assert.deepEqual(body.quizzes.map(q => q.id).sort(), ids.sort());
+});
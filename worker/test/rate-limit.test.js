@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../index.js';
+import { memoryKv, request } from './helpers.js';
+
+globalThis.fetch = async () => new Response('{"notes":[]}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+// Each test uses its own app ids: the in-memory limiter lives as long as the module
+function appTokens(prefix) {
+  return JSON.stringify({
+    [`${prefix}-fixed`]: { token: `${prefix}-fixed-token`, active: true, rateLimit: 3 },
+    [`${prefix}-bucket`]: { token: `${prefix}-bucket-token`, active: true, rateLimit: 5, rateLimitAlgorithm: 'token-bucket', routeLimits: { '/api/search': 2 } },
+  });
+}
+
+/**
+ * Durable Object namespace stand-in: one RateLimiter per name with map storage
+ */
+function durableObjectNamespace() {
+  const objects = new Map();
+  return {
+    objects,
+    idFromName: name => name,
+    get(id) {
+      if (!objects.has(id)) {
+        const storage = new Map();
+        objects.set(id, new RateLimiter({ storage: { get: async key => storage.get(key), put: async (key, value) => storage.set(key, value) } }));
+      }
+      return { fetch: (url, init) => objects.get(id).fetch(new Request(url, init)) };
+    },
+  };
+}
+
+async function statuses(env, path, token, count) {
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    result.push((await request(env, 'GET', typeof path === 'function' ? path(i) : path, { headers: { 'X-App-Token': token } })).status);
+  }
+  return result;
+}
+
+const BACKENDS = {
+  memory: () => ({}),
+  kv: () => ({ RATE_LIMIT_KV: memoryKv() }),
+  'durable object': () => ({ RATE_LIMITER: durableObjectNamespace() }),
+};
+
+for (const [name, backend] of Object.entries(BACKENDS)) {
+  const prefix = name.replace(/ /g, '-');
+  
+  test(`${name}: fixed window limits per app and reports the window`, async () => {
+    const env = { APP_TOKENS: appTokens(prefix), ...backend() };
+    assert.deepEqual(await statuses(env, '/api/notes', `${prefix}-fixed-token`, 5), [200, 200, 200, 429, 429]);
+    
+    const limited = await request(env, 'GET', '/api/notes', { headers: { 'X-App-Token': `${prefix}-fixed-token` } });
+    assert.equal(limited.body.error.code, 'rate_limited');
+    assert.equal(limited.headers.get('X-RateLimit-Limit'), '3');
+    assert.equal(limited.headers.get('X-RateLimit-Remaining'), '0');
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+  });
+  
+  test(`${name}: token bucket with a tighter per-route limit`, async () => {
+    const env = { APP_TOKENS: appTokens(prefix), ...backend() };
+    const token = `${prefix}-bucket-token`;
+    assert.deepEqual(await statuses(env, '/api/search', token, 4), [200, 200, 429, 429]);
+    assert.deepEqual(await statuses(env, i => `/api/notes/n${i}`, token, 6), [200, 200, 200, 200, 200, 429]);
+  });
+}
+
+test('the durable object keeps one limiter per app and route', async () => {
+  const namespace = durableObjectNamespace();
+  const env = { APP_TOKENS: appTokens('keys'), RATE_LIMITER: namespace };
+  await statuses(env, '/api/search', 'keys-bucket-token', 1);
+  await statuses(env, '/api/notes', 'keys-fixed-token', 1);
+  assert.deepEqual([...namespace.objects.keys()].sort(), ['ratelimit:keys-bucket:/api/search', 'ratelimit:keys-fixed']);
+});
+
+test('unknown app tokens are rejected before any limiter runs', async () => {
+  const response = await request({ APP_TOKENS: appTokens('anon') }, 'GET', '/api/notes', { headers: { 'X-App-Token': 'wrong' } });
+  assert.equal(response.status, 401);
+});
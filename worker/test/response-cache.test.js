@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from './helpers.js';
+
+// A second copy of the module stands in for another isolate
+const { default: otherIsolate } = await import('../index.js?isolate=other');
+
+let upstreamCalls = 0;
+globalThis.fetch = async () => {
+  upstreamCalls++;
+  return new Response(JSON.stringify({ call: upstreamCalls }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+};
+
+/**
+ * Cache stand-in with the match/put/delete shape of env.RESPONSE_CACHE
+ */
+function sharedCache() {
+  const entries = new Map();
+  return {
+    entries,
+    async match(key) { return entries.get(key) || null; },
+    async put(key, entry) { entries.set(key, entry); },
+    async delete(key) { entries.delete(key); },
+  };
+}
+
+const APP = { 'X-App-Token': 'cache-token' };
+
+function cacheEnv() {
+  return {
+    RESPONSE_CACHE: sharedCache(),
+    APP_TOKENS: JSON.stringify({ cache: { token: 'cache-token', active: true, rateLimit: 1000 } }),
+  };
+}
+
+async function get(env, path, handler) {
+  const { body, headers } = await request(env, 'GET', path, { headers: APP, handler });
+  return [body.call, headers.get('X-Cache')];
+}
+
+test('cached responses are shared between isolates', async () => {
+  const env = cacheEnv();
+  const [first, miss] = await get(env, '/api/notes/shared');
+  assert.equal(miss, 'MISS');
+  assert.deepEqual(await get(env, '/api/notes/shared', otherIsolate), [first, 'HIT']);
+});
+
+test('a counter write in one isolate invalidates the note and list for every isolate', async () => {
+  const env = cacheEnv();
+  const [note] = await get(env, '/api/notes/counted');
+  const [list] = await get(env, '/?type=list');
+  assert.deepEqual(await get(env, '/api/notes/counted', otherIsolate), [note, 'HIT']);
+  
+  const counted = await request(env, 'POST', '/api/notes/counted/views', { headers: APP });
+  assert.equal(counted.status, 200);
+  
+  const [freshNote, noteStatus] = await get(env, '/api/notes/counted', otherIsolate);
+  const [freshList, listStatus] = await get(env, '/?type=list', otherIsolate);
+  assert.equal(noteStatus, 'MISS');
+  assert.equal(listStatus, 'MISS');
+  assert.notEqual(freshNote, note);
+  assert.notEqual(freshList, list);
+  assert.deepEqual(await get(env, '/api/notes/counted'), [freshNote, 'HIT']);
+});
+
+test('invalidating one note leaves other notes cached', async () => {
+  const env = cacheEnv();
+  const [other] = await get(env, '/api/notes/untouched');
+  await request(env, 'POST', '/api/notes/edited/views', { headers: APP });
+  assert.deepEqual(await get(env, '/api/notes/untouched', otherIsolate), [other, 'HIT']);
+});
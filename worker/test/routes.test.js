@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from './helpers.js';
+
+test('unknown paths return 404 instead of being proxied', async () => {
+  const response = await request({}, 'GET', '/nope');
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error.code, 'not_found');
+});
+
+test('a known path with the wrong method returns 405 with Allow', async () => {
+  const response = await request({}, 'POST', '/api/quizzes/abc');
+  assert.equal(response.status, 405);
+  assert.match(response.headers.get('Allow'), /GET/);
+  assert.match(response.headers.get('Allow'), /PUT/);
+});
+
+test('malformed percent escapes return 400 invalid_request', async () => {
+  const response = await request({}, 'GET', '/api/notes/%E0%A4');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, 'invalid_request');
+});
+
+test('route patterns reject ids outside their character class', async () => {
+  const response = await request({}, 'GET', '/api/quizzes/Not_An_Id');
+  assert.equal(response.status, 404);
+});
+
+test('openapi.json documents every route in the table', async () => {
+  const { body: index } = await request({}, 'GET', '/');
+  const { status, body: doc } = await request({}, 'GET', '/openapi.json');
+  assert.equal(status, 200);
+  
+  const operations = Object.values(doc.paths).flatMap(Object.keys).length;
+  const routes = Object.values(index.endpoints).length;
+  assert.ok(operations >= routes);
+  assert.ok(doc.paths['/auth/callback'].get.responses['200']);
+  
+  const refs = JSON.stringify(doc).match(/#\/components\/schemas\/\w+/g) || [];
+  for (const ref of new Set(refs)) {
+    assert.ok(doc.components.schemas[ref.split('/').pop()], `${ref} resolves`);
+  }
+});